@@ -0,0 +1,885 @@
+import { get as _get, isFunction, isNil } from 'lodash-es';
+import { Worker } from 'worker_threads';
+
+import Err from './error.js';
+import type {
+  EnmapOptions,
+  ExportOptions,
+  ImportOptions,
+  IncByOptions,
+  MergeOptions,
+  PushOptions,
+  SetOptions,
+  UpdateOptions,
+} from './index.js';
+
+export type AsyncEnmapOptions<V = unknown> = Omit<
+  EnmapOptions<V>,
+  'serializer' | 'deserializer' | 'schema' | 'migrations'
+>;
+
+// Functions can't be sent to the worker thread.
+const UNSUPPORTED_OPTIONS = [
+  'serializer',
+  'deserializer',
+  'schema',
+  'migrations',
+];
+
+// How many entries are sent from the worker at once when iterating.
+const ITERATION_BATCH = 500;
+
+type Predicate<V> = (val: V, key: string) => boolean;
+
+/**
+ * An Enmap running on a worker thread, created with {@link Enmap.async}. It has the same methods as Enmap,
+ * but they all return promises: SQLite work happens on the worker, so long scans or imports don't block the event loop.
+ *
+ * Methods taking a function (filter(), find(), update()...) run it on the main thread, over the values sent by the worker in batches.
+ * Events, observe(), transaction(), query(), watch() and the cache are not available, nor are the `serializer`,
+ * `deserializer`, `schema` and `migrations` options. exportTo() and importFrom() only take file paths, not streams,
+ * and the `progress` option of exportTo(), importFrom() and backup() is not supported.
+ * @example
+ * import Enmap from 'enmap';
+ * const enmap = Enmap.async({ name: 'points' });
+ * await enmap.set('alice', { points: 10 });
+ * const leaders = await enmap.filter((user) => user.points > 100);
+ */
+export default class AsyncEnmap<V = any> {
+  #name: string;
+  #worker: Worker;
+  #calls: Map<
+    number,
+    { resolve: (value: any) => void; reject: (error: Error) => void }
+  > = new Map();
+  #nextCall = 0;
+  #failure?: Error;
+
+  constructor(options: AsyncEnmapOptions<V>) {
+    for (const option of UNSUPPORTED_OPTIONS) {
+      if (option in options)
+        throw new Err(
+          `The ${option} option is not supported by AsyncEnmap`,
+          'EnmapArgumentError',
+        );
+    }
+    this.#name = options.inMemory
+      ? 'MemoryEnmap'
+      : options.name || 'defaultEnmap';
+    this.#worker = new Worker(new URL('./worker.js', import.meta.url), {
+      workerData: options,
+    });
+    // The worker only keeps the process alive while calls are pending.
+    this.#worker.unref();
+    this.#worker.on(
+      'message',
+      ({
+        id,
+        result,
+        error,
+      }: {
+        id: number;
+        result?: unknown;
+        error?: { name: string; message: string };
+      }) => {
+        const call = this.#calls.get(id);
+        if (!call) return;
+        this.#settled(id);
+        if (error) call.reject(new Err(error.message, error.name));
+        else call.resolve(result);
+      },
+    );
+    this.#worker.on('error', (error) => this.#fail(error));
+    this.#worker.on('exit', () =>
+      this.#fail(
+        new Err(
+          `The worker of the enmap "${this.#name}" has stopped`,
+          'EnmapDBConnectionError',
+        ),
+      ),
+    );
+  }
+
+  /**
+   * Closes the enmap once the calls already made are done, then stops the worker thread. Future calls are rejected.
+   */
+  async close(): Promise<void> {
+    try {
+      if (!this.#failure) await this.#call('shutdown');
+    } finally {
+      await this.#worker.terminate();
+    }
+  }
+
+  /**
+   * Same as {@link Enmap#isOpen}: whether the enmap can still be used, which is until close() is called or the worker stops.
+   * @returns {boolean}
+   */
+  get isOpen(): boolean {
+    return !this.#failure;
+  }
+
+  /**
+   * Same as {@link Enmap#set}.
+   */
+  async set(
+    key: string,
+    value: any,
+    path?: string | null,
+    options?: SetOptions,
+  ): Promise<this> {
+    await this.#call('set', key, value, path, options);
+    return this;
+  }
+
+  /**
+   * Same as {@link Enmap#setIfAbsent}.
+   */
+  setIfAbsent(key: string, value: V, options?: SetOptions): Promise<boolean> {
+    return this.#call('setIfAbsent', key, value, options);
+  }
+
+  /**
+   * Same as {@link Enmap#compareAndSet}.
+   */
+  compareAndSet(
+    key: string,
+    expected: V | null,
+    next: V,
+    options?: SetOptions,
+  ): Promise<boolean> {
+    return this.#call('compareAndSet', key, expected, next, options);
+  }
+
+  /**
+   * Same as {@link Enmap#get}.
+   */
+  get(key: string, path?: string): Promise<any> {
+    return this.#call('get', key, path);
+  }
+
+  /**
+   * Same as {@link Enmap#has}.
+   */
+  has(key: string): Promise<boolean> {
+    return this.#call('has', key);
+  }
+
+  /**
+   * Same as {@link Enmap#ttl}.
+   */
+  ttl(key: string): Promise<number | null> {
+    return this.#call('ttl', key);
+  }
+
+  /**
+   * Same as {@link Enmap#expiresAt}.
+   */
+  expiresAt(key: string): Promise<number | null> {
+    return this.#call('expiresAt', key);
+  }
+
+  /**
+   * Same as {@link Enmap#version}.
+   */
+  version(key: string): Promise<number | null> {
+    return this.#call('version', key);
+  }
+
+  /**
+   * Same as {@link Enmap#purge}.
+   */
+  purge(): Promise<number> {
+    return this.#call('purge');
+  }
+
+  /**
+   * Same as {@link Enmap#delete}.
+   */
+  async delete(key: string, path?: string): Promise<this> {
+    await this.#call('delete', key, path);
+    return this;
+  }
+
+  /**
+   * Same as {@link Enmap#setMany}.
+   */
+  async setMany(
+    entries: Iterable<[string, V]> | Record<string, V>,
+    options?: Pick<SetOptions, 'ttl'>,
+  ): Promise<this> {
+    // Iterables other than arrays can't be sent to the worker.
+    const data =
+      Symbol.iterator in entries
+        ? [...(entries as Iterable<[string, V]>)]
+        : entries;
+    await this.#call('setMany', data, options);
+    return this;
+  }
+
+  /**
+   * Same as {@link Enmap#getMany}.
+   */
+  getMany(keys: string[]): Promise<(V | null)[]> {
+    return this.#call('getMany', keys);
+  }
+
+  /**
+   * Same as {@link Enmap#hasMany}.
+   */
+  hasMany(keys: string[]): Promise<boolean[]> {
+    return this.#call('hasMany', keys);
+  }
+
+  /**
+   * Same as {@link Enmap#deleteMany}.
+   */
+  deleteMany(keys: string[]): Promise<number> {
+    return this.#call('deleteMany', keys);
+  }
+
+  /**
+   * Same as {@link Enmap#clear}.
+   */
+  clear(): Promise<void> {
+    return this.#call('clear');
+  }
+
+  /**
+   * Same as {@link Enmap#size}.
+   */
+  get size(): Promise<number> {
+    return this.#call('size');
+  }
+
+  /**
+   * Same as {@link Enmap#autonum}.
+   */
+  get autonum(): Promise<string> {
+    return this.#call('autonum');
+  }
+
+  /**
+   * Same as {@link Enmap#schemaVersion}.
+   */
+  get schemaVersion(): Promise<number> {
+    return this.#call('schemaVersion');
+  }
+
+  /**
+   * Same as {@link Enmap#keys}.
+   */
+  keys(): Promise<string[]> {
+    return this.#call('keys');
+  }
+
+  /**
+   * Same as {@link Enmap#values}.
+   */
+  values(): Promise<V[]> {
+    return this.#call('values');
+  }
+
+  /**
+   * Same as {@link Enmap#entries}.
+   */
+  entries(): Promise<[string, V][]> {
+    return this.#call('entries');
+  }
+
+  /**
+   * Iterates over the entries, which are sent by the worker in batches.
+   * @example
+   * for await (const [key, value] of enmap) {
+   *   console.log(key, value);
+   * }
+   */
+  async *[Symbol.asyncIterator](): AsyncIterableIterator<[string, V]> {
+    const cursor = await this.#call<number>('open');
+    let done = false;
+    try {
+      while (!done) {
+        const batch = await this.#call<{
+          entries: [string, V][];
+          done: boolean;
+        }>('next', cursor, ITERATION_BATCH);
+        done = batch.done;
+        yield* batch.entries;
+      }
+    } finally {
+      if (!done) await this.#call('close', cursor);
+    }
+  }
+
+  /**
+   * Same as {@link Enmap#update}. When given a function, the value is read, then modified by the function on the main thread,
+   * then written: writes made to the key in the meantime are lost, unless `expectedVersion` is given, in which case
+   * nothing is written and an `EnmapConflictError` is thrown.
+   */
+  async update(
+    key: string,
+    valueOrFunction: Partial<V> | ((data: V) => V),
+    options: UpdateOptions = {},
+  ): Promise<V> {
+    if (!isFunction(valueOrFunction))
+      return this.#call('update', key, valueOrFunction, options);
+    const { expectedVersion } = options;
+    if (!isNil(expectedVersion)) {
+      const version = await this.version(key);
+      if (version !== expectedVersion)
+        throw new Err(
+          `Cannot update the key "${key}" in the enmap "${this.#name}": expected version ${expectedVersion}, but it is at version ${version ?? 'none (deleted)'}`,
+          'EnmapConflictError',
+        );
+    }
+    const data = await this.#require(key);
+    const constructorName = (data as any)?.constructor?.name || 'Unknown';
+    if (constructorName !== 'Object')
+      throw new Err(
+        `The value for key "${key}" is not of type "Object" in the enmap "${this.#name}" (value was of type "${constructorName}")`,
+        'EnmapTypeError',
+      );
+    const updated = valueOrFunction(data);
+    if (isNil(expectedVersion)) {
+      await this.#call('set', key, updated, null, { keepTtl: true });
+    } else {
+      // The worker only writes if the key is still at the expected version, like Enmap#update.
+      await this.#call('replace', key, updated, expectedVersion);
+    }
+    return updated;
+  }
+
+  /**
+   * Same as {@link Enmap#mergeAt}.
+   */
+  async mergeAt(
+    key: string,
+    partial: any,
+    path?: string | null,
+    options?: MergeOptions,
+  ): Promise<this> {
+    await this.#call('mergeAt', key, partial, path, options);
+    return this;
+  }
+
+  /**
+   * Same as {@link Enmap#unset}.
+   */
+  async unset(key: string, path: string): Promise<this> {
+    await this.#call('unset', key, path);
+    return this;
+  }
+
+  /**
+   * Same as {@link Enmap#renameProp}.
+   */
+  async renameProp(key: string, from: string, to: string): Promise<this> {
+    await this.#call('renameProp', key, from, to);
+    return this;
+  }
+
+  /**
+   * Same as {@link Enmap#pick}.
+   */
+  pick(key: string, paths: string[]): Promise<Partial<V> | null> {
+    return this.#call('pick', key, paths);
+  }
+
+  /**
+   * Same as {@link Enmap#omit}.
+   */
+  omit(key: string, paths: string[]): Promise<Partial<V> | null> {
+    return this.#call('omit', key, paths);
+  }
+
+  /**
+   * Same as {@link Enmap#push}.
+   */
+  async push(
+    key: string,
+    value: any,
+    path?: string | null,
+    options?: boolean | PushOptions,
+  ): Promise<this> {
+    await this.#call('push', key, value, path, options);
+    return this;
+  }
+
+  /**
+   * Same as {@link Enmap#pushMany}.
+   */
+  async pushMany(
+    key: string,
+    values: any[],
+    path?: string | null,
+    options?: boolean | PushOptions,
+  ): Promise<this> {
+    await this.#call('pushMany', key, values, path, options);
+    return this;
+  }
+
+  /**
+   * Same as {@link Enmap#math}.
+   */
+  async math(
+    key: string,
+    operation: string,
+    operand: number,
+    path?: string,
+  ): Promise<number | null> {
+    return this.#call('math', key, operation, operand, path);
+  }
+
+  /**
+   * Same as {@link Enmap#inc}.
+   */
+  async inc(key: string, path?: string): Promise<this> {
+    await this.#call('inc', key, path);
+    return this;
+  }
+
+  /**
+   * Same as {@link Enmap#dec}.
+   */
+  async dec(key: string, path?: string): Promise<this> {
+    await this.#call('dec', key, path);
+    return this;
+  }
+
+  /**
+   * Same as {@link Enmap#incBy}.
+   */
+  incBy(key: string, amount: number, options?: IncByOptions): Promise<number> {
+    return this.#call('incBy', key, amount, options);
+  }
+
+  /**
+   * Same as {@link Enmap#clamp}.
+   */
+  clamp(key: string, min: number, max: number, path?: string): Promise<number> {
+    return this.#call('clamp', key, min, max, path);
+  }
+
+  /**
+   * Same as {@link Enmap#ensure}.
+   */
+  ensure(
+    key: string,
+    defaultValue: any,
+    path?: string | null,
+    options?: Pick<SetOptions, 'ttl'>,
+  ): Promise<any> {
+    return this.#call('ensure', key, defaultValue, path, options);
+  }
+
+  /**
+   * Same as {@link Enmap#includes}.
+   */
+  includes(key: string, value: any, path?: string): Promise<boolean> {
+    return this.#call('includes', key, value, path);
+  }
+
+  /**
+   * Same as {@link Enmap#remove}. When given a function, the array is read, then searched by the function on the main thread,
+   * then written: writes made to the key in the meantime are lost.
+   */
+  async remove(
+    key: string,
+    val: any | ((value: any) => boolean),
+    path?: string,
+  ): Promise<this> {
+    if (!isFunction(val)) {
+      await this.#call('remove', key, val, path);
+      return this;
+    }
+    const data = await this.#require(key);
+    const array = isNil(path) ? data : _get(data, path);
+    const index = Array.isArray(array) ? array.findIndex(val) : -1;
+    if (index > -1) {
+      array.splice(index, 1);
+      await this.#call('set', key, data, null, { keepTtl: true });
+    }
+    return this;
+  }
+
+  /**
+   * Same as {@link Enmap#removeAll}.
+   */
+  async removeAll(
+    key: string,
+    val: any | ((value: any) => boolean),
+    path?: string | null,
+  ): Promise<number> {
+    if (!isFunction(val)) return this.#call('removeAll', key, val, path);
+    const data = await this.#require(key);
+    const array = isNil(path) ? data : _get(data, path);
+    // Functions can't be sent to the worker: it only throws the usual error.
+    if (!Array.isArray(array)) return this.#call('removeAll', key, null, path);
+    const kept = array.filter((value) => !val(value));
+    const removed = array.length - kept.length;
+    if (removed) await this.#call('set', key, kept, path, { keepTtl: true });
+    return removed;
+  }
+
+  /**
+   * Same as {@link Enmap#insertAt}.
+   */
+  async insertAt(
+    key: string,
+    index: number,
+    value: any,
+    path?: string | null,
+  ): Promise<this> {
+    await this.#call('insertAt', key, index, value, path);
+    return this;
+  }
+
+  /**
+   * Same as {@link Enmap#splice}.
+   */
+  splice(
+    key: string,
+    start: number,
+    deleteCount?: number | null,
+    items?: any[],
+    path?: string | null,
+  ): Promise<any[]> {
+    return this.#call('splice', key, start, deleteCount, items, path);
+  }
+
+  /**
+   * Same as {@link Enmap#shift}.
+   */
+  shift(key: string, path?: string | null): Promise<any> {
+    return this.#call('shift', key, path);
+  }
+
+  /**
+   * Same as {@link Enmap#pop}.
+   */
+  pop(key: string, path?: string | null): Promise<any> {
+    return this.#call('pop', key, path);
+  }
+
+  /**
+   * Same as {@link Enmap#unshift}.
+   */
+  async unshift(key: string, value: any, path?: string | null): Promise<this> {
+    await this.#call('unshift', key, value, path);
+    return this;
+  }
+
+  /**
+   * Same as {@link Enmap#move}.
+   */
+  async move(
+    key: string,
+    fromIndex: number,
+    toIndex: number,
+    path?: string | null,
+  ): Promise<this> {
+    await this.#call('move', key, fromIndex, toIndex, path);
+    return this;
+  }
+
+  /**
+   * Same as {@link Enmap#export}.
+   */
+  export(): Promise<string> {
+    return this.#call('export');
+  }
+
+  /**
+   * Same as {@link Enmap#import}.
+   */
+  async import(data: string, overwrite = true, clear = false): Promise<this> {
+    await this.#call('import', data, overwrite, clear);
+    return this;
+  }
+
+  /**
+   * Same as {@link Enmap#exportTo}, to a file only. The `progress` option is not supported.
+   */
+  exportTo(
+    destination: string,
+    options?: Omit<ExportOptions, 'progress'>,
+  ): Promise<number> {
+    return this.#call('exportTo', destination, options);
+  }
+
+  /**
+   * Same as {@link Enmap#importFrom}, from a file only. The `progress` option is not supported.
+   */
+  importFrom(
+    source: string,
+    options?: Omit<ImportOptions, 'progress'>,
+  ): Promise<number> {
+    return this.#call('importFrom', source, options);
+  }
+
+  /**
+   * Same as {@link Enmap#random}.
+   */
+  random(count = 1): Promise<[string, V][]> {
+    return this.#call('random', count);
+  }
+
+  /**
+   * Same as {@link Enmap#randomKey}.
+   */
+  randomKey(count = 1): Promise<string[]> {
+    return this.#call('randomKey', count);
+  }
+
+  /**
+   * Same as {@link Enmap#every}.
+   */
+  async every(
+    valueOrFunction: Predicate<V> | any,
+    path?: string,
+  ): Promise<boolean> {
+    if (!isFunction(valueOrFunction))
+      return this.#call('every', valueOrFunction, path);
+    for await (const [key, value] of this) {
+      if (!valueOrFunction(value, key)) return false;
+    }
+    return true;
+  }
+
+  /**
+   * Same as {@link Enmap#some}.
+   */
+  async some(
+    valueOrFunction: Predicate<V> | any,
+    path?: string,
+  ): Promise<boolean> {
+    if (!isFunction(valueOrFunction))
+      return this.#call('some', valueOrFunction, path);
+    for await (const [key, value] of this) {
+      if (valueOrFunction(value, key)) return true;
+    }
+    return false;
+  }
+
+  /**
+   * Same as {@link Enmap#map}.
+   */
+  async map<R>(pathOrFn: ((val: V, key: string) => R) | string): Promise<R[]> {
+    if (!isFunction(pathOrFn)) return this.#call('map', pathOrFn);
+    const results: R[] = [];
+    for await (const [key, value] of this) {
+      results.push(pathOrFn(value, key));
+    }
+    return results;
+  }
+
+  /**
+   * Same as {@link Enmap#find}.
+   */
+  async find(pathOrFn: Predicate<V> | string, value?: any): Promise<V | null> {
+    if (!isFunction(pathOrFn)) return this.#call('find', pathOrFn, value);
+    for await (const [key, data] of this) {
+      if (pathOrFn(data, key)) return data;
+    }
+    return null;
+  }
+
+  /**
+   * Same as {@link Enmap#findIndex}.
+   */
+  async findIndex(
+    pathOrFn: Predicate<V> | string,
+    value?: any,
+  ): Promise<string | null> {
+    if (!isFunction(pathOrFn)) return this.#call('findIndex', pathOrFn, value);
+    for await (const [key, data] of this) {
+      if (pathOrFn(data, key)) return key;
+    }
+    return null;
+  }
+
+  /**
+   * Same as {@link Enmap#reduce}.
+   */
+  async reduce<R>(
+    predicate: (accumulator: R, val: V, key: string) => R,
+    initialValue: R,
+  ): Promise<R> {
+    let accumulator = initialValue;
+    for await (const [key, value] of this) {
+      accumulator = predicate(accumulator, value, key);
+    }
+    return accumulator;
+  }
+
+  /**
+   * Same as {@link Enmap#filter}.
+   */
+  async filter(pathOrFn: Predicate<V> | string, value?: any): Promise<V[]> {
+    if (!isFunction(pathOrFn)) return this.#call('filter', pathOrFn, value);
+    const results: V[] = [];
+    for await (const [key, data] of this) {
+      if (pathOrFn(data, key)) results.push(data);
+    }
+    return results;
+  }
+
+  /**
+   * Same as {@link Enmap#partition}.
+   */
+  async partition(
+    pathOrFn: Predicate<V> | string,
+    value?: any,
+  ): Promise<[V[], V[]]> {
+    if (!isFunction(pathOrFn)) return this.#call('partition', pathOrFn, value);
+    const results: [V[], V[]] = [[], []];
+    for await (const [key, data] of this) {
+      results[pathOrFn(data, key) ? 0 : 1].push(data);
+    }
+    return results;
+  }
+
+  /**
+   * Same as {@link Enmap#sweep}.
+   */
+  async sweep(pathOrFn: Predicate<V> | string, value?: any): Promise<number> {
+    if (!isFunction(pathOrFn)) return this.#call('sweep', pathOrFn, value);
+    const keys: string[] = [];
+    for await (const [key, data] of this) {
+      if (pathOrFn(data, key)) keys.push(key);
+    }
+    return this.deleteMany(keys);
+  }
+
+  /**
+   * Same as {@link Enmap#setAll}.
+   */
+  setAll(path: string, value: any): Promise<number> {
+    return this.#call('setAll', path, value);
+  }
+
+  /**
+   * Same as {@link Enmap#unsetAll}.
+   */
+  unsetAll(path: string): Promise<number> {
+    return this.#call('unsetAll', path);
+  }
+
+  /**
+   * Same as {@link Enmap#renamePathAll}.
+   */
+  renamePathAll(from: string, to: string): Promise<number> {
+    return this.#call('renamePathAll', from, to);
+  }
+
+  /**
+   * Same as {@link Enmap#ensureAll}.
+   */
+  ensureAll(defaults: Partial<V>): Promise<number> {
+    return this.#call('ensureAll', defaults);
+  }
+
+  /**
+   * Same as {@link Enmap#createIndex}.
+   */
+  async createIndex(path: string): Promise<this> {
+    await this.#call('createIndex', path);
+    return this;
+  }
+
+  /**
+   * Same as {@link Enmap#dropIndex}.
+   */
+  async dropIndex(path: string): Promise<this> {
+    await this.#call('dropIndex', path);
+    return this;
+  }
+
+  /**
+   * Same as {@link Enmap#listIndexes}.
+   */
+  listIndexes(): Promise<string[]> {
+    return this.#call('listIndexes');
+  }
+
+  /**
+   * Same as {@link Enmap#backup}. The `progress` option is not supported.
+   */
+  backup(destination: string): Promise<void> {
+    return this.#call('backup', destination);
+  }
+
+  /**
+   * Same as {@link Enmap#snapshot}.
+   */
+  snapshot(): Promise<string> {
+    return this.#call('snapshot');
+  }
+
+  /**
+   * Same as {@link Enmap#vacuum}.
+   */
+  vacuum(): Promise<number> {
+    return this.#call('vacuum');
+  }
+
+  /**
+   * Same as {@link Enmap#optimize}.
+   */
+  async optimize(): Promise<this> {
+    await this.#call('optimize');
+    return this;
+  }
+
+  /**
+   * Same as {@link Enmap#rename}.
+   */
+  async rename(name: string): Promise<this> {
+    await this.#call('rename', name);
+    this.#name = name;
+    return this;
+  }
+
+  /**
+   * Same as {@link Enmap#drop}. The worker is stopped afterwards.
+   */
+  async drop(): Promise<void> {
+    await this.#call('drop');
+    await this.close();
+  }
+
+  // MARK: Internal Methods
+  #call<R = any>(method: string, ...args: unknown[]): Promise<R> {
+    if (this.#failure) return Promise.reject(this.#failure);
+    return new Promise((resolve, reject) => {
+      const id = this.#nextCall++;
+      this.#worker.postMessage({ id, method, args });
+      if (!this.#calls.size) this.#worker.ref();
+      this.#calls.set(id, { resolve, reject });
+    });
+  }
+
+  #settled(id: number): void {
+    this.#calls.delete(id);
+    if (!this.#calls.size) this.#worker.unref();
+  }
+
+  #fail(error: Error): void {
+    this.#failure ??= error;
+    for (const [id, call] of this.#calls) {
+      this.#settled(id);
+      call.reject(this.#failure);
+    }
+  }
+
+  // Reads a value for the methods running a function, which need it to exist.
+  async #require(key: string): Promise<any> {
+    const data = await this.#call('get', key);
+    if (isNil(data))
+      throw new Err(
+        `The key "${key}" does not exist in the enmap "${this.#name}"`,
+        'EnmapPathError',
+      );
+    return data;
+  }
+}
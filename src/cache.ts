@@ -0,0 +1,153 @@
+import { cloneDeep, isNil } from 'lodash-es';
+
+import Err from './error.js';
+
+export interface EnmapCacheOptions {
+  maxEntries?: number;
+  maxBytes?: number;
+}
+
+export interface EnmapCacheStats {
+  hits: number;
+  misses: number;
+  evictions: number;
+  entries: number;
+  bytes: number;
+}
+
+interface CacheEntry<V> {
+  value: V;
+  bytes: number;
+  expires: number | null;
+}
+
+const DEFAULT_MAX_ENTRIES = 1000;
+
+/**
+ * A bounded, least recently used cache of parsed values, available as `enmap.cache` when the `cache` option is set.
+ * Every write made through the enmap updates the cache, so it never returns stale data. Writes made by another
+ * Enmap instance or another process are only seen with the `changeFeed` option, which evicts the keys they change
+ * (within its `pollInterval`). Without it, only enable the cache if this enmap is the only writer.
+ */
+export default class EnmapCache<V> {
+  #entries: Map<string, CacheEntry<V>> = new Map();
+  #maxEntries: number;
+  #maxBytes: number;
+  #bytes = 0;
+  #hits = 0;
+  #misses = 0;
+  #evictions = 0;
+
+  constructor(options: EnmapCacheOptions = {}) {
+    const { maxEntries, maxBytes } = options;
+    for (const [name, limit] of Object.entries({ maxEntries, maxBytes })) {
+      if (!isNil(limit) && (!Number.isInteger(limit) || limit <= 0))
+        throw new Err(
+          `The cache ${name} must be a positive integer`,
+          'EnmapArgumentError',
+        );
+    }
+    this.#maxEntries =
+      maxEntries ?? (isNil(maxBytes) ? DEFAULT_MAX_ENTRIES : Infinity);
+    this.#maxBytes = maxBytes ?? Infinity;
+  }
+
+  /**
+   * Get a copy of a cached value, and mark it as recently used.
+   * @param {string} key The key to look up.
+   * @returns {*} The value, or `undefined` if the key is not cached or has expired.
+   */
+  get(key: string): V | undefined {
+    const entry = this.#entries.get(key);
+    if (!entry || (!isNil(entry.expires) && entry.expires <= Date.now())) {
+      if (entry) this.#remove(key, entry);
+      this.#misses++;
+      return undefined;
+    }
+    this.#entries.delete(key);
+    this.#entries.set(key, entry);
+    this.#hits++;
+    // Callers are free to modify what they get, the cached value must stay untouched.
+    return cloneDeep(entry.value);
+  }
+
+  /**
+   * Add a value to the cache, evicting the least recently used ones if it gets too large.
+   * @param {string} key The key of the value.
+   * @param {*} value The parsed value. It must not be modified afterwards.
+   * @param {number} bytes The size of the value, as stored in the database.
+   * @param {number|null} expires When the key expires, or `null` if it never does.
+   */
+  set(key: string, value: V, bytes: number, expires: number | null): void {
+    this.evict(key);
+    if (bytes > this.#maxBytes) return;
+    this.#entries.set(key, { value, bytes, expires });
+    this.#bytes += bytes;
+    for (const [oldest, entry] of this.#entries) {
+      if (
+        this.#entries.size <= this.#maxEntries &&
+        this.#bytes <= this.#maxBytes
+      )
+        break;
+      this.#remove(oldest, entry);
+      this.#evictions++;
+    }
+  }
+
+  /**
+   * Remove a key from the cache. The next read will fetch it from the database.
+   * @param {string} key The key to remove.
+   * @returns {boolean} Whether the key was cached.
+   */
+  evict(key: string): boolean {
+    const entry = this.#entries.get(key);
+    if (!entry) return false;
+    this.#remove(key, entry);
+    return true;
+  }
+
+  /**
+   * Remove every key from the cache. Statistics are kept, see resetStats().
+   */
+  clear(): void {
+    this.#entries.clear();
+    this.#bytes = 0;
+  }
+
+  /**
+   * Get the number of cached keys.
+   * @returns {number}
+   */
+  get size(): number {
+    return this.#entries.size;
+  }
+
+  /**
+   * Get the cache statistics since the enmap was created, or since the last resetStats().
+   * `evictions` only counts keys removed to make room for others.
+   * @returns {Object} The `hits`, `misses`, `evictions`, as well as the current number of `entries` and their size in `bytes`.
+   */
+  get stats(): EnmapCacheStats {
+    return {
+      hits: this.#hits,
+      misses: this.#misses,
+      evictions: this.#evictions,
+      entries: this.#entries.size,
+      bytes: this.#bytes,
+    };
+  }
+
+  /**
+   * Reset the hits, misses and evictions counters to 0.
+   */
+  resetStats(): void {
+    this.#hits = 0;
+    this.#misses = 0;
+    this.#evictions = 0;
+  }
+
+  #remove(key: string, entry: CacheEntry<V>): void {
+    this.#entries.delete(key);
+    this.#bytes -= entry.bytes;
+  }
+}
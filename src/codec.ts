@@ -0,0 +1,155 @@
+import { isNil, isObject, isPlainObject } from 'lodash-es';
+import { Serialize } from 'better-serialize';
+
+import Err from './error.js';
+
+// The layout of exports, shared by export(), exportTo(), import() and importFrom().
+export const EXPORT_FORMAT = 'enmap';
+export const EXPORT_FORMAT_VERSION = 1;
+
+/**
+ * How values are written in an export: `raw` is the value as stored in the database, which only the same serializer can read,
+ * and `deserialized` is the value returned by get(): as plain JSON when it only holds JSON types,
+ * or in better-serialize's tagged format otherwise.
+ */
+export type ExportValues = 'raw' | 'deserialized';
+
+export interface ExportHeader {
+  format: typeof EXPORT_FORMAT;
+  formatVersion: number;
+  name: string;
+  version: string;
+  exportDate: number;
+  values: ExportValues;
+  total?: number;
+}
+
+export type ExportEntry =
+  | { key: string; value: string; expires: number | null }
+  | { key: string; json: unknown; expires: number | null }
+  | { key: string; data: Serialize.JsonCompatible; expires: number | null };
+
+// An entry read from an export, with its deserialized value already decoded.
+export type ImportEntry =
+  | { key: string; value: string; expires: number | null }
+  | { key: string; data: unknown; expires: number | null };
+
+export function createHeader(
+  name: string,
+  version: string,
+  values: ExportValues,
+  total?: number,
+): ExportHeader {
+  if (values !== 'raw' && values !== 'deserialized')
+    throw new Err(
+      'Exported values must be "raw" or "deserialized"',
+      'EnmapArgumentError',
+    );
+  return {
+    format: EXPORT_FORMAT,
+    formatVersion: EXPORT_FORMAT_VERSION,
+    name,
+    version,
+    exportDate: Date.now(),
+    values,
+    total,
+  };
+}
+
+// Whether a value comes back identical from JSON.parse(JSON.stringify(value)).
+function isJson(value: unknown): boolean {
+  if (value === null || typeof value === 'string' || typeof value === 'boolean')
+    return true;
+  if (typeof value === 'number') return Number.isFinite(value);
+  if (Array.isArray(value)) {
+    for (let i = 0; i < value.length; i++) if (!isJson(value[i])) return false;
+    return true;
+  }
+  return isPlainObject(value) && Object.values(value as object).every(isJson);
+}
+
+// Deserialized values are written as plain JSON in `json` when they can be, and tagged by better-serialize in `data` otherwise.
+export function encodeEntry(
+  key: string,
+  expires: number | null,
+  value: { raw: string } | { data: unknown },
+): ExportEntry {
+  if ('raw' in value) return { key, value: value.raw, expires };
+  return isJson(value.data)
+    ? { key, json: value.data, expires }
+    : { key, data: Serialize.toJsonCompatible(value.data), expires };
+}
+
+// Returns null if the record isn't an entry.
+export function decodeEntry(record: any): ImportEntry | null {
+  if (!isObject(record)) return null;
+  const {
+    key,
+    value,
+    json,
+    data,
+    expires = null,
+  } = record as Record<string, any>;
+  if (typeof key !== 'string') return null;
+  if (!isNil(expires) && !Number.isInteger(expires)) return null;
+  if (typeof value === 'string') return { key, value, expires };
+  if (json !== undefined) return { key, data: json, expires };
+  if (data === undefined) return null;
+  try {
+    return { key, data: Serialize.fromJsonCompatible(data), expires };
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Checks that an export header can be imported by this version of Enmap.
+ * Exports made before headers existed have no format, and are accepted as they are.
+ */
+export function checkHeader(
+  header: Partial<ExportHeader>,
+  version: string,
+  name?: string,
+): void {
+  if (header.format !== EXPORT_FORMAT)
+    throw new Err(
+      'The import does not start with an enmap export header',
+      'EnmapImportError',
+    );
+  if (header.formatVersion! > EXPORT_FORMAT_VERSION)
+    throw new Err(
+      `The import uses version ${header.formatVersion} of the export format, but this version of Enmap only supports version ${EXPORT_FORMAT_VERSION}`,
+      'EnmapImportError',
+    );
+  if (parseInt(header.version!, 10) > parseInt(version, 10))
+    throw new Err(
+      `The import was exported by Enmap ${header.version}, which is newer than this version (${version})`,
+      'EnmapImportError',
+    );
+  if (!isNil(name) && header.name !== name)
+    throw new Err(
+      `The import contains the enmap "${header.name}" instead of "${name}". Set the sourceName option to import another enmap.`,
+      'EnmapImportError',
+    );
+}
+
+// Reads the single string written by export(), including the ones written by older versions of Enmap.
+export function decodeExport(text: string): {
+  header: Partial<ExportHeader>;
+  keys: unknown[];
+} | null {
+  let parsed: any;
+  try {
+    parsed = JSON.parse(text);
+  } catch {
+    throw new Err('Data provided is not valid JSON', 'EnmapDataError');
+  }
+  // Enmap 6.0 and 6.1 wrote the whole export with better-serialize.
+  if (parsed?.t === Serialize.Type.Object && isObject(parsed.v))
+    parsed = Serialize.fromJsonCompatible(parsed);
+  if (isNil(parsed)) return null;
+  const { keys, ...header } = parsed;
+  if (!Array.isArray(keys))
+    throw new Err('The data provided has no keys to import', 'EnmapDataError');
+  return { header, keys };
+}
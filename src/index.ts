@@ -5,38 +5,350 @@ import {
   isFunction,
   isArray,
   isObject,
+  isPlainObject,
+  isEqual,
   cloneDeep,
   merge,
+  mergeWith,
+  unionWith,
+  mapValues,
+  pickBy,
+  has as _has,
+  unset as _unset,
+  pick as _pick,
+  omit as _omit,
 } from 'lodash-es';
 import { stringify, parse } from 'better-serialize';
 import onChange from 'on-change';
 
 // Custom error codes with stack support.
 import Err from './error.js';
+import AsyncEnmap, { type AsyncEnmapOptions } from './async.js';
+import EnmapCache, { type EnmapCacheOptions } from './cache.js';
+import {
+  checkHeader,
+  createHeader,
+  decodeEntry,
+  decodeExport,
+  encodeEntry,
+  type ExportEntry,
+  type ExportHeader,
+  type ExportValues,
+  type ImportEntry,
+} from './codec.js';
+import EnmapQuery, {
+  type QueryCondition,
+  type QueryPlan,
+  compare,
+  matches,
+} from './query.js';
 
 // Native imports
-import { existsSync, readFileSync, mkdirSync } from 'fs';
-import { resolve, sep } from 'path';
+import {
+  existsSync,
+  readFileSync,
+  mkdirSync,
+  createReadStream,
+  createWriteStream,
+} from 'fs';
+import { mkdir, readdir, rm } from 'fs/promises';
+import { join, resolve } from 'path';
+import { createInterface } from 'readline';
+import { Readable, Writable } from 'stream';
+import { pipeline } from 'stream/promises';
+import { ReadableStream, WritableStream } from 'stream/web';
+import { setImmediate } from 'timers/promises';
 
 // Package.json
 const pkgdata = JSON.parse(readFileSync('./package.json', 'utf8'));
 
 import Database from 'better-sqlite3';
 
+export type { default as AsyncEnmap, AsyncEnmapOptions } from './async.js';
+export type { default as EnmapQuery, QueryOperator } from './query.js';
+export type {
+  default as EnmapCache,
+  EnmapCacheOptions,
+  EnmapCacheStats,
+} from './cache.js';
+export type { ExportHeader, ExportValues } from './codec.js';
+
+// Enmap names are used in table, index and trigger names, and are quoted everywhere in SQL.
 const NAME_REGEX = /^([\w-]+)$/;
 
+const checkName = (name: string): void => {
+  if (!NAME_REGEX.test(name) || /^sqlite_/i.test(name))
+    throw new Err(
+      `Invalid enmap name "${name}": names may only contain letters, numbers, underscores and dashes, and may not start with "sqlite_"`,
+      'EnmapArgumentError',
+    );
+};
+
+// Quotes an SQL identifier, such as a table name.
+const quote = (identifier: string): string =>
+  `"${identifier.replaceAll('"', '""')}"`;
+
+// Enmaps stored in the same file share a single connection, so that a transaction covers all of them.
+// The connection is closed once every enmap using it is closed, and is opened with the sqliteOptions of the first one.
+type Connection = {
+  db: Database.Database;
+  enmaps: number;
+  sqliteOptions: Database.Options;
+};
+const connections = new Map<string, Connection>();
+
+// Every database opened by an enmap, in memory or in a file, until it is closed.
+const databases = new Set<Database.Database>();
+
+// A single listener for every enmap, instead of one per instance.
+process.on('exit', () => {
+  for (const db of databases) db.close();
+});
+
+// Change events waiting for the outermost transaction() on a connection to commit.
+const pendingEvents = new WeakMap<Database.Database, (() => void)[]>();
+
+// Path segments that can be addressed inside stored values with SQLite's JSON functions.
+const JSON_PATH_SEGMENT = /^[A-Za-z_$][\w$-]*$/;
+
+// How many rows lazy iteration reads at a time. The connection is free between batches.
+const ITERATION_BATCH = 500;
+
+// How many pages backup() copies at a time. The connection is free between steps.
+const BACKUP_PAGES = 100;
+
+// Databases attached by Enmap.restore(), unique per restore.
+let restoreCount = 0;
+
+// The SQL equivalents of math() operations, on the stored integer `x` and the `@operand` parameter.
+// Only operations whose integer results are exact in SQLite: division, exponents and random numbers run in JS.
+const MATH_SQL: Partial<Record<string, (x: string) => string>> = {};
+for (const [ops, sql] of [
+  [['add', 'addition', '+'], (x: string) => `${x} + @operand`],
+  [['sub', 'subtract', '-'], (x: string) => `${x} - @operand`],
+  [['mult', 'multiply', '*'], (x: string) => `${x} * @operand`],
+  [['mod', 'modulo', '%'], (x: string) => `${x} % @operand`],
+  [['min'], (x: string) => `min(${x}, @operand)`],
+  [['max'], (x: string) => `max(${x}, @operand)`],
+] as const)
+  for (const op of ops) MATH_SQL[op] = sql;
+
+// Rows without an expiry, or whose expiry is still in the future. Bind Date.now().
+const LIVE_ROWS = '(expires IS NULL OR expires > ?)';
+
+// Staging tables for importFrom(), unique per import.
+let importCount = 0;
+
+const isPromiseLike = (value: unknown): value is PromiseLike<unknown> =>
+  isFunction((value as PromiseLike<unknown> | null)?.then);
+
+// Merges `source` into `target` recursively. Arrays are merged index by index, or as the strategy says.
+const mergeValues = (
+  target: any,
+  source: any,
+  strategy: MergeStrategy = 'merge',
+): any => {
+  const mergeArrays = (current: unknown, next: unknown): unknown => {
+    if (strategy === 'merge' || !isArray(next)) return undefined;
+    const base = isArray(current) ? current : [];
+    if (strategy === 'concat') return [...base, ...cloneDeep(next)];
+    if (strategy === 'union') return unionWith(base, cloneDeep(next), isEqual);
+    return cloneDeep(next);
+  };
+  if (!['merge', 'replace', 'concat', 'union'].includes(strategy))
+    throw new Err(
+      'The arrays merge strategy must be "merge", "replace", "concat" or "union"',
+      'EnmapArgumentError',
+    );
+  return mergeArrays(target, source) ?? mergeWith(target, source, mergeArrays);
+};
+
 // Type definitions
 export interface EnmapOptions<V = unknown, SV = unknown> {
   name?: string;
   dataDir?: string;
+  file?: string;
   ensureProps?: boolean;
   autoEnsure?: V;
-  serializer?: (value: V, key: string) => SV;
-  deserializer?: (value: SV, key: string) => V;
+  serializer?: (value: V, key: string) => SV | Promise<SV>;
+  deserializer?: (value: SV, key: string) => V | Promise<V>;
   inMemory?: boolean;
   sqliteOptions?: Database.Options;
+  ttl?: number;
+  purgeInterval?: number;
+  schema?: EnmapSchema<V>;
+  migrations?: EnmapMigration[];
+  dryRunMigrations?: boolean;
+  cache?: boolean | EnmapCacheOptions;
+  changeFeed?: boolean | EnmapChangeFeedOptions;
+  snapshots?: EnmapSnapshotOptions;
+}
+
+export interface EnmapChangeFeedOptions {
+  pollInterval?: number;
+  retention?: number;
+}
+
+export interface EnmapSnapshotOptions {
+  dir: string;
+  interval: number;
+  keep?: number;
+}
+
+export interface EnmapTableInfo {
+  name: string;
+  rows: number;
+  bytes: number;
+}
+
+export interface BackupOptions {
+  progress?: (progress: { totalPages: number; remainingPages: number }) => void;
+}
+
+export interface RestoreOptions<V = unknown, SV = unknown> extends EnmapOptions<
+  V,
+  SV
+> {
+  sourceName?: string;
+}
+
+export interface EnmapMigration {
+  version: number;
+  up: (value: any, key: string) => unknown;
 }
 
+// The subset of the Standard Schema interface (https://standardschema.dev) Enmap relies on.
+export interface StandardSchema<V = unknown> {
+  readonly '~standard': {
+    readonly version: 1;
+    readonly vendor: string;
+    readonly validate: (
+      value: unknown,
+    ) => StandardSchemaResult<V> | Promise<StandardSchemaResult<V>>;
+  };
+}
+
+export type StandardSchemaResult<V> =
+  | { readonly value: V; readonly issues?: undefined }
+  | {
+      readonly issues: readonly {
+        readonly message: string;
+        readonly path?: readonly (
+          | PropertyKey
+          | { readonly key: PropertyKey }
+        )[];
+      }[];
+    };
+
+export type EnmapValidator<V> = (
+  value: V,
+  key: string,
+) => boolean | string | void;
+
+export type EnmapSchema<V> = EnmapValidator<V> | StandardSchema<V>;
+
+export interface SetOptions {
+  ttl?: number;
+  keepTtl?: boolean;
+}
+
+export interface PushOptions {
+  allowDupes?: boolean;
+  maxLength?: number;
+}
+
+export interface IncByOptions {
+  floor?: number;
+  ceiling?: number;
+  path?: string;
+}
+
+/**
+ * How merges handle arrays: `merge` merges them index by index (the default), `replace` replaces them,
+ * `concat` appends the new items and `union` only appends the items that aren't in the array yet.
+ */
+export type MergeStrategy = 'merge' | 'replace' | 'concat' | 'union';
+
+export interface MergeOptions {
+  arrays?: MergeStrategy;
+}
+
+export interface UpdateOptions extends MergeOptions {
+  expectedVersion?: number;
+}
+
+// Internal: a write that only happens if the row is still at the expected version.
+type StoreOptions = SetOptions & UpdateOptions;
+
+export interface ExportOptions {
+  values?: ExportValues;
+  progress?: (progress: { count: number; total: number }) => void;
+}
+
+export interface ImportOptions {
+  overwrite?: boolean;
+  clear?: boolean;
+  sourceName?: string;
+  progress?: (progress: { count: number; total: number }) => void;
+}
+
+export type EnmapEventName = 'set' | 'delete' | 'clear' | 'import' | 'change';
+
+export type EnmapOperation =
+  | 'set'
+  | 'setMany'
+  | 'setIfAbsent'
+  | 'compareAndSet'
+  | 'update'
+  | 'ensure'
+  | 'observe'
+  | 'mergeAt'
+  | 'unset'
+  | 'renameProp'
+  | 'setAll'
+  | 'unsetAll'
+  | 'renamePathAll'
+  | 'ensureAll'
+  | 'push'
+  | 'pushMany'
+  | 'remove'
+  | 'removeAll'
+  | 'insertAt'
+  | 'splice'
+  | 'shift'
+  | 'pop'
+  | 'unshift'
+  | 'move'
+  | 'math'
+  | 'inc'
+  | 'dec'
+  | 'incBy'
+  | 'clamp'
+  | 'delete'
+  | 'deleteMany'
+  | 'sweep'
+  | 'clear'
+  | 'import';
+
+export interface EnmapChangeEvent<V> {
+  key: string | null;
+  oldValue: V | undefined;
+  newValue: V | undefined;
+  operation: EnmapOperation;
+}
+
+export type EnmapListener<V> = (event: EnmapChangeEvent<V>) => void;
+
+export interface EnmapFeedEvent<V> {
+  seq: number;
+  key: string;
+  operation: 'set' | 'delete';
+  value: V | undefined;
+  time: number;
+}
+
+export type EnmapWatcher<V> = (event: EnmapFeedEvent<V>) => void;
+
 type MathOps =
   | 'add'
   | 'addition'
@@ -57,7 +369,9 @@ type MathOps =
   | 'modulo'
   | '%'
   | 'rand'
-  | 'random';
+  | 'random'
+  | 'min'
+  | 'max';
 
 // Path type helpers for nested object access
 type Path<T, Key extends keyof T = keyof T> = Key extends string
@@ -85,29 +399,60 @@ type PathValue<T, P extends string> = P extends `${infer K}.${infer Rest}`
  */
 export default class Enmap<V = any, SV = unknown> {
   #name: string;
-  #db: Database.Database;
+  #table: string;
+  #database: Database.Database;
+  #connection?: Connection;
+  #closed = false;
   #inMemory: boolean;
   #autoEnsure?: V;
   #ensureProps: boolean;
-  #serializer: (value: V, key: string) => SV;
-  #deserializer: (value: SV, key: string) => V;
-  #changedCB?: (
-    key: string,
-    oldValue: V | undefined,
-    newValue: V | undefined,
-  ) => void;
+  #serializer: (value: V, key: string) => SV | Promise<SV>;
+  #deserializer: (value: SV, key: string) => V | Promise<V>;
+  #ttl?: number;
+  #schema?: EnmapSchema<V>;
+  #purgeTimer?: NodeJS.Timeout;
+  #cache: EnmapCache<V> | null;
+  #feed?: Required<EnmapChangeFeedOptions>;
+  #feedTimer?: NodeJS.Timeout;
+  #feedSeq = 0;
+  #feedPolling = false;
+  #watchers: Set<EnmapWatcher<V>> = new Set();
+  #snapshots?: Required<EnmapSnapshotOptions>;
+  #snapshotTimer?: NodeJS.Timeout;
+  #changedCB?: EnmapListener<V>;
+  #statements: Map<string, Database.Statement> = new Map();
+  #plainValues: boolean;
+  #indexes: Set<string> = new Set();
+  #listeners: Map<
+    EnmapEventName,
+    { listener: EnmapListener<V>; once: boolean }[]
+  > = new Map();
 
   /**
    * Initializes a new Enmap, with options.
    * @param options Options for the enmap. See https://enmap.alterion.dev/usage#enmap-options for details.
    * @param options.name The name of the enmap. Represents its table name in sqlite. Unless inMemory is set to true, the enmap will be persisted to disk.
    * @param options.dataDir Defaults to `./data`. Determines where the sqlite files will be stored. Can be relative (to your project root) or absolute on the disk. Windows users , remember to escape your backslashes! *Note*: Enmap will not automatically create the folder if it is set manually, so make sure it exists before starting your code!
+   * @param options.file Defaults to `enmap.sqlite`. The database file of the enmap, relative to `dataDir`, or absolute. Enmaps in the same file share a connection and their transactions,
+   * enmaps in their own file can be vacuumed, backed up and moved independently.
    * @param options.ensureProps defaults to `true`. If enabled and the value in the enmap is an object, using ensure() will also ensure that every property present in the default object will be added to the value, if it's absent. See ensure API reference for more information.
    * @param options.autoEnsure default is disabled. When provided a value, essentially runs ensure(key, autoEnsure) automatically so you don't have to. This is especially useful on get(), but will also apply on set(), and any array and object methods that interact with the database.
-   * @param options.serializer Optional. If a function is provided, it will execute on the data when it is written to the database. This is generally used to convert the value into a format that can be saved in the database, such as converting a complete class instance to just its ID. This function may return the value to be saved, or a promise that resolves to that value (in other words, can be an async function).
-   * @param options.deserializer Optional. If a function is provided, it will execute on the data when it is read from the database. This is generally used to convert the value from a stored ID into a more complex object. This function may return a value, or a promise that resolves to that value (in other words, can be an async function).
+   * @param options.serializer Optional. If a function is provided, it will execute on the data when it is written to the database. This is generally used to convert the value into a format that can be saved in the database, such as converting a complete class instance to just its ID. This function may return the value to be saved, or a promise that resolves to that value (in other words, can be an async function), in which case the enmap must be written with setAsync(), ensureAsync() and updateAsync().
+   * @param options.deserializer Optional. If a function is provided, it will execute on the data when it is read from the database. This is generally used to convert the value from a stored ID into a more complex object. This function may return a value, or a promise that resolves to that value (in other words, can be an async function), in which case the enmap must be read with getAsync(), ensureAsync() and updateAsync().
    * @param options.inMemory Optional. If set to true, the enmap will be in-memory only, and will not write to disk. Useful for temporary stores.
-   * @param options.sqliteOptions Optional. An object of options to pass to the better-sqlite3 Database constructor.
+   * @param options.sqliteOptions Optional. An object of options to pass to the better-sqlite3 Database constructor. Enmaps open in the same file share their connection, so they must all use the same options.
+   * @param options.ttl Optional. A default time-to-live, in milliseconds, applied to every key written with set() or ensure(). Expired keys are invisible to every read method, and are deleted when written again or by purge().
+   * @param options.purgeInterval Optional. If set, runs purge() every `purgeInterval` milliseconds to delete expired keys from the database.
+   * @param options.schema Optional. Validates every value before it is written. Either a function receiving the value and key, returning `false` or an error message
+   * when the value is invalid, or any Standard Schema object (zod, valibot, arktype...). Invalid values throw an `EnmapValidationError` and are not written.
+   * @param options.migrations Optional. An ordered list of `{ version, up(value, key) }` migrations. Migrations newer than the version stored for this enmap are
+   * applied to every value when it is created, in a single transaction. `up` returns the new value, or `undefined` to keep the value it modified in place.
+   * @param options.dryRunMigrations Optional. If set to true, pending migrations are run and rolled back, to check that they succeed without changing any data.
+   * @param options.cache Optional. Keeps recently read values in memory, so reading them again skips SQLite and the deserializer. Either `true`, or an object with
+   * `maxEntries` (defaults to 1000) and/or `maxBytes`, the total size of the cached values as stored. Writes from other Enmap instances or processes are only seen with the `changeFeed` option.
+   * @param options.changeFeed Optional. Logs every change to this enmap in the database, so other processes using the same file can watch() them. Either `true`, or an object with
+   * `pollInterval`, how often the log is checked in milliseconds (defaults to 1000), and `retention`, how long changes are kept in milliseconds (defaults to an hour).
+   * @param options.snapshots Optional. Takes a snapshot() of the database every `interval` milliseconds, in the `dir` folder, keeping the last `keep` snapshots (defaults to 5).
    * @example
    * import Enmap from 'enmap';
    * // Named, Persistent enmap
@@ -135,59 +480,111 @@ export default class Enmap<V = any, SV = unknown> {
       ? options.deserializer
       : (data: SV) => data as unknown as V;
     this.#autoEnsure = options.autoEnsure;
+    this.#ttl = options.ttl;
+    this.#cache = options.cache
+      ? new EnmapCache<V>(options.cache === true ? {} : options.cache)
+      : null;
+    if (
+      !isNil(options.schema) &&
+      !isFunction(options.schema) &&
+      !isFunction(options.schema['~standard']?.validate)
+    )
+      throw new Err(
+        'The schema option must be a function or a Standard Schema object',
+        'EnmapArgumentError',
+      );
+    this.#schema = options.schema;
+    this.#plainValues = !options.serializer && !options.deserializer;
+
+    if (options.changeFeed) {
+      this.#feed = {
+        pollInterval: 1000,
+        retention: 60 * 60 * 1000,
+        ...(options.changeFeed === true ? {} : options.changeFeed),
+      };
+      for (const [name, value] of Object.entries(this.#feed)) {
+        if (!Number.isFinite(value) || value <= 0)
+          throw new Err(
+            `The changeFeed ${name} must be a positive number`,
+            'EnmapArgumentError',
+          );
+      }
+    }
+
+    if (options.snapshots) {
+      this.#snapshots = { keep: 5, ...options.snapshots };
+      const { dir, interval, keep } = this.#snapshots;
+      if (typeof dir !== 'string' || !dir)
+        throw new Err(
+          'The snapshots dir must be a folder path',
+          'EnmapArgumentError',
+        );
+      if (!Number.isFinite(interval) || interval <= 0)
+        throw new Err(
+          'The snapshots interval must be a positive number',
+          'EnmapArgumentError',
+        );
+      if (!Number.isInteger(keep) || keep <= 0)
+        throw new Err(
+          'The snapshots keep must be a positive integer',
+          'EnmapArgumentError',
+        );
+    }
 
     if (this.#inMemory) {
-      this.#db = new Database(':memory:');
+      this.#database = new Database(':memory:');
       this.#name = 'MemoryEnmap';
     } else {
       this.#name = options.name || 'defaultEnmap';
+      checkName(this.#name);
+      if (
+        !isNil(options.file) &&
+        (typeof options.file !== 'string' || !options.file)
+      )
+        throw new Err(
+          'The file option must be a file name or path',
+          'EnmapArgumentError',
+        );
       if (!options.dataDir) {
         if (!existsSync('./data')) {
           mkdirSync('./data');
         }
       }
       const dataDir = resolve(process.cwd(), options.dataDir || 'data');
-      this.#db = new Database(
-        `${dataDir}${sep}enmap.sqlite`,
-        options.sqliteOptions,
-      );
+      const file = resolve(dataDir, options.file ?? 'enmap.sqlite');
+      const sqliteOptions = options.sqliteOptions ?? {};
+      let connection = connections.get(file);
+      if (!connection?.db.open) {
+        connection = {
+          db: new Database(file, sqliteOptions),
+          enmaps: 0,
+          sqliteOptions,
+        };
+        connections.set(file, connection);
+      } else if (!isEqual(connection.sqliteOptions, sqliteOptions)) {
+        throw new Err(
+          `The enmap "${this.#name}" must use the same sqliteOptions as the other enmaps open in "${file}"`,
+          'EnmapArgumentError',
+        );
+      }
+      connection.enmaps++;
+      this.#connection = connection;
+      this.#database = connection.db;
     }
+    this.#table = quote(this.#name);
 
-    if (!this.#db) {
+    if (!this.#database) {
       throw new Err('Database Could Not Be Opened', 'EnmapDBConnectionError');
     }
+    databases.add(this.#database);
 
-    // Check if enmap by this name is in the sqlite master table
-    const table = this.#db
-      .prepare(
-        "SELECT count(*) FROM sqlite_master WHERE type='table' AND name = ?;",
-      )
-      .get(this.#name) as { 'count(*)': number };
-
-    // This is a first init, create everything!
-    if (!table['count(*)']) {
-      // Create base table
-      this.#db
-        .prepare(
-          `CREATE TABLE ${this.#name} (key text PRIMARY KEY, value text)`,
-        )
-        .run();
-
-      // Define table properties : sync and write-ahead-log
-      this.#db.pragma('synchronous = 1');
-      this.#db.pragma('journal_mode = wal');
-
-      // Create autonum table
-      this.#db
-        .prepare(
-          `CREATE TABLE IF NOT EXISTS 'internal::autonum' (enmap TEXT PRIMARY KEY, lastnum INTEGER)`,
-        )
-        .run();
+    // A failed setup must not leave the connection counted, or its timers running.
+    try {
+      this.#setup(options);
+    } catch (e) {
+      this.close();
+      throw e;
     }
-
-    process.on('exit', () => {
-      this.#db.close();
-    });
   }
 
   /**
@@ -195,6 +592,8 @@ export default class Enmap<V = any, SV = unknown> {
    * @param key Required. The location in which the data should be saved.
    * @param value Required. The value to write. Values must be serializable, which is done through (better-serialize)[https://github.com/RealShadowNova/better-serialize] If the value is not directly serializable, please use a custom serializer/deserializer.
    * @param path Optional. The path to the property to modify inside the value object or array. Should be a path with dot notation, such as "prop1.subprop2.subprop3"
+   * @param options Optional. `ttl` sets the time-to-live of the key in milliseconds, overriding the enmap's default `ttl`.
+   * `keepTtl` keeps the key's current expiry instead of resetting it. Writing to a path always keeps the current expiry unless a `ttl` is given.
    * @example
    * // Direct Value Examples
    * enmap.set('simplevalue', 'this is a string');
@@ -206,23 +605,97 @@ export default class Enmap<V = any, SV = unknown> {
    * // Settings Properties
    * enmap.set('IhazObjects', 'blue', 'color'); //modified previous object
    * enmap.set('ArraysToo', 'three', 2); // changes "tree" to "three" in array.
+   *
+   * // Expiring keys
+   * enmap.set('cooldown', Date.now(), null, { ttl: 5000 }); // gone in 5 seconds
    */
-  set(key: string, value: any, path?: Path<V>): this {
-    this.#keycheck(key);
-    let data = this.get(key);
-    const oldValue = cloneDeep(data);
-    if (!isNil(path)) {
-      if (isNil(data)) data = {} as V;
-      _set(data as object, path, value);
-    } else {
-      data = value;
-    }
-    if (isFunction(this.#changedCB))
-      this.#changedCB(key, oldValue as V, data as V);
-    this.#set(key, data as V);
+  set(
+    key: string,
+    value: any,
+    path?: Path<V> | null,
+    options: SetOptions = {},
+  ): this {
+    this.#write(key, value, path, options, 'set');
     return this;
   }
 
+  /**
+   * Sets a value only if the key does not exist (or has expired), in a single statement, so that two processes can't both create it.
+   * @param key Required. The key to create.
+   * @param value Required. The value to write.
+   * @param options Optional. `ttl` sets the time-to-live of the key in milliseconds, overriding the enmap's default `ttl`.
+   * @example
+   * if (enmap.setIfAbsent(`lock:${guildId}`, process.pid, { ttl: 10000 })) {
+   *   // this process got the lock
+   * }
+   * @returns {boolean} Whether the value was written.
+   */
+  setIfAbsent(key: string, value: V, options: SetOptions = {}): boolean {
+    this.#keycheck(key);
+    this.#validate(key, value);
+    const ttl = options.ttl ?? this.#ttl;
+    // An expired row counts as absent, and is replaced.
+    const { changes } = this.#prepare(
+      `INSERT INTO ${this.#table} (key, value, expires) VALUES (?, ?, ?) ON CONFLICT(key) DO UPDATE SET value = excluded.value, expires = excluded.expires, version = version + 1 WHERE expires IS NOT NULL AND expires <= ?`,
+    ).run(
+      key,
+      this.#serialize(key, value),
+      isNil(ttl) ? null : Date.now() + ttl,
+      Date.now(),
+    );
+    if (!changes) return false;
+    this.#cache?.evict(key);
+    this.#emit('set', {
+      key,
+      oldValue: undefined,
+      newValue: value,
+      operation: 'setIfAbsent',
+    });
+    return true;
+  }
+
+  /**
+   * Replaces a value only if it is still equal to an expected value. The comparison is deep, on the deserialized values,
+   * and the write fails if another process changed the key in between, so the check and the write happen as one.
+   * @param key Required. The key to write.
+   * @param expected Required. The value the key must have, or `null` if the key must not exist.
+   * @param next Required. The new value.
+   * @param options Optional. Same as set(): `ttl` and `keepTtl`.
+   * @example
+   * const stock = enmap.get('stock');
+   * if (!enmap.compareAndSet('stock', stock, stock - 1)) {
+   *   // someone else bought it first, read again and retry
+   * }
+   * @returns {boolean} Whether the value was written.
+   */
+  compareAndSet(
+    key: string,
+    expected: V | null,
+    next: V,
+    options: SetOptions = {},
+  ): boolean {
+    this.#keycheck(key);
+    // A failed attempt is usually retried with a fresh get(), which must not come from a stale cache.
+    this.#cache?.evict(key);
+    const row = this.#row(key);
+    if (!row) return isNil(expected) && this.setIfAbsent(key, next, options);
+    const current = this.#parse(row.value, key);
+    if (!isEqual(current, expected)) return false;
+    this.#validate(key, next);
+    const written = this.#store(key, this.#serialize(key, next), {
+      ...options,
+      expectedVersion: row.version,
+    });
+    if (written)
+      this.#emit('set', {
+        key,
+        oldValue: current,
+        newValue: next,
+        operation: 'compareAndSet',
+      });
+    return written;
+  }
+
   /**
    * Retrieves a value from the enmap, using its key.
    * @param key The key to retrieve from the enmap.
@@ -238,22 +711,10 @@ export default class Enmap<V = any, SV = unknown> {
   get<P extends Path<V>>(key: string, path: P): PathValue<V, P> | null;
   get<P extends Path<V>>(key: string, path?: P): V | PathValue<V, P> | null {
     this.#keycheck(key);
-
-    if (!isNil(this.#autoEnsure) && !this.has(key)) {
-      this.#set(key, this.#autoEnsure);
-    }
-
-    const data = this.#db
-      .prepare(`SELECT value FROM ${this.#name}  WHERE key = ?`)
-      .get(key) as { value: string } | undefined;
-    const parsed = data ? this.#parse(data.value, key) : null;
-    if (isNil(parsed)) return null;
-
-    if (path) {
-      this.#check(key, ['Object']);
-      return _get(parsed, path) as PathValue<V, P>;
-    }
-    return parsed;
+    return this.#at(key, this.#read(key, true), path) as
+      | V
+      | PathValue<V, P>
+      | null;
   }
 
   /**
@@ -267,10 +728,57 @@ export default class Enmap<V = any, SV = unknown> {
    */
   has(key: string): boolean {
     this.#keycheck(key);
-    const data = this.#db
-      .prepare(`SELECT count(*) FROM ${this.#name} WHERE key = ?`)
-      .get(key) as { 'count(*)': number };
-    return data['count(*)'] > 0;
+    return !isNil(this.#row(key));
+  }
+
+  /**
+   * Returns the remaining time-to-live of a key, in milliseconds.
+   * @param key Required. The key to check.
+   * @example
+   * enmap.set('cooldown', true, null, { ttl: 5000 });
+   * enmap.ttl('cooldown'); // 5000, or slightly less
+   * @returns {number|null} The remaining lifetime of the key, `Infinity` if it never expires, or `null` if the key does not exist.
+   */
+  ttl(key: string): number | null {
+    this.#keycheck(key);
+    const data = this.#row(key);
+    if (!data) return null;
+    if (isNil(data.expires)) return Infinity;
+    return Math.max(data.expires - Date.now(), 0);
+  }
+
+  /**
+   * Returns the moment a key expires.
+   * @param key Required. The key to check.
+   * @returns {number|null} The expiry timestamp (in milliseconds since the epoch), or `null` if the key does not exist or never expires.
+   */
+  expiresAt(key: string): number | null {
+    this.#keycheck(key);
+    return this.#row(key)?.expires ?? null;
+  }
+
+  /**
+   * Returns the version of a key, which starts at 1 and goes up every time the key is written, by any process using the database.
+   * Pass it to update() as `expectedVersion` to make sure nobody changed the value in between.
+   * @param key Required. The key to check.
+   * @example
+   * const version = enmap.version('settings');
+   * @returns {number|null} The version, or `null` if the key does not exist.
+   */
+  version(key: string): number | null {
+    this.#keycheck(key);
+    return this.#row(key)?.version ?? null;
+  }
+
+  /**
+   * Deletes every expired key from the database. Expired keys are already invisible to all other methods,
+   * this only reclaims the space they use. Runs automatically if the `purgeInterval` option is set.
+   * @returns {number} The number of deleted keys.
+   */
+  purge(): number {
+    return this.#prepare(
+      `DELETE FROM ${this.#table} WHERE expires IS NOT NULL AND expires <= ?`,
+    ).run(Date.now()).changes;
   }
 
   /**
@@ -281,24 +789,138 @@ export default class Enmap<V = any, SV = unknown> {
   delete(key: string, path?: Path<V>): this {
     this.#keycheck(key);
     if (path) {
-      this.#check(key, ['Object']);
-      const data = this.get(key);
+      const data = this.#read(key);
+      this.#check(key, data, ['Object']);
       if (data && typeof data === 'object') {
+        const oldValue = this.#snapshot(data);
         _set(data, path, undefined);
-        this.set(key, data);
+        this.#commit(key, data, { keepTtl: true }, 'delete', oldValue);
       }
     } else {
-      this.#db.prepare(`DELETE FROM ${this.#name} WHERE key = ?`).run(key);
+      const oldValue = this.#peek(key);
+      if (this.#delete(key))
+        this.#emit('delete', {
+          key,
+          oldValue,
+          newValue: undefined,
+          operation: 'delete',
+        });
     }
     return this;
   }
 
+  /**
+   * Sets many values at once, in a single transaction. Much faster than calling set() in a loop.
+   * @param entries Required. The entries to write, as an array of `[key, value]` pairs, a Map, or an object.
+   * @param options Optional. `ttl` sets the time-to-live of every key in milliseconds, overriding the enmap's default `ttl`.
+   * @example
+   * enmap.setMany([
+   *   ['user1', { points: 10 }],
+   *   ['user2', { points: 20 }],
+   * ]);
+   * enmap.setMany({ user3: { points: 30 } }, { ttl: 60000 });
+   * @returns {Enmap} The enmap.
+   */
+  setMany(
+    entries: Iterable<[string, V]> | Record<string, V>,
+    options: Pick<SetOptions, 'ttl'> = {},
+  ): this {
+    const pairs =
+      Symbol.iterator in entries
+        ? (entries as Iterable<[string, V]>)
+        : Object.entries(entries as Record<string, V>);
+    this.transaction(() => {
+      for (const [key, value] of pairs) {
+        this.#keycheck(key);
+        const oldValue = this.#peek(key);
+        this.#set(key, value, options);
+        this.#emit('set', {
+          key,
+          oldValue,
+          newValue: value,
+          operation: 'setMany',
+        });
+      }
+    });
+    return this;
+  }
+
+  /**
+   * Retrieves many values at once, in a single query.
+   * @param keys Required. The keys to retrieve.
+   * @example
+   * const [first, second] = enmap.getMany(['user1', 'user2']);
+   * @returns {Array<*>} The values, in the same order as the keys. Keys that do not exist are `null`, unless `autoEnsure` is set.
+   */
+  getMany(keys: string[]): (V | null)[] {
+    const rows = new Map<string, string>();
+    for (const row of this.#many('key, value', keys) as IterableIterator<{
+      key: string;
+      value: string;
+    }>) {
+      rows.set(row.key, row.value);
+    }
+    return keys.map((key) => {
+      const value = rows.get(key);
+      if (value === undefined) {
+        return isNil(this.#autoEnsure) ? null : this.get(key);
+      }
+      return this.#parse(value, key);
+    });
+  }
+
+  /**
+   * Returns whether or not each of the keys exists in the Enmap, in a single query.
+   * @param keys Required. The keys to check.
+   * @returns {Array<boolean>} Whether each key exists, in the same order as the keys.
+   */
+  hasMany(keys: string[]): boolean[] {
+    const found = new Set<string>();
+    for (const row of this.#many('key', keys) as IterableIterator<{
+      key: string;
+    }>) {
+      found.add(row.key);
+    }
+    return keys.map((key) => found.has(key));
+  }
+
+  /**
+   * Deletes many keys at once, in a single transaction.
+   * @param keys Required. The keys to delete.
+   * @returns {number} The number of keys that were deleted.
+   */
+  deleteMany(keys: string[]): number {
+    let count = 0;
+    this.transaction(() => {
+      for (const key of keys) {
+        this.#keycheck(key);
+        const oldValue = this.#peek(key);
+        if (!this.#delete(key)) continue;
+        count++;
+        this.#emit('delete', {
+          key,
+          oldValue,
+          newValue: undefined,
+          operation: 'deleteMany',
+        });
+      }
+    });
+    return count;
+  }
+
   /**
    * Deletes everything from the enmap.
    * @returns {void}
    */
   clear(): void {
-    this.#db.prepare(`DELETE FROM ${this.#name}`).run();
+    this.#prepare(`DELETE FROM ${this.#table}`).run();
+    this.#cache?.clear();
+    this.#emit('clear', {
+      key: null,
+      oldValue: undefined,
+      newValue: undefined,
+      operation: 'clear',
+    });
   }
 
   // Getters with proper typing
@@ -308,9 +930,9 @@ export default class Enmap<V = any, SV = unknown> {
    * @returns {number} The number of elements in the enmap.
    */
   get size(): number {
-    const data = this.#db
-      .prepare(`SELECT count(*) FROM '${this.#name}';`)
-      .get() as { 'count(*)': number };
+    const data = this.#prepare(
+      `SELECT count(*) FROM ${this.#table} WHERE ${LIVE_ROWS};`,
+    ).get(Date.now()) as { 'count(*)': number };
     return data['count(*)'];
   }
 
@@ -333,78 +955,349 @@ export default class Enmap<V = any, SV = unknown> {
   }
 
   /**
-   * Generates an automatic numerical key for inserting a new value.
-   * This is a "weak" method, it ensures the value isn't duplicated, but does not
-   * guarantee it's sequential (if a value is deleted, another can take its place).
-   * Useful for logging, actions, items, etc - anything that doesn't already have a unique ID.
-   * @readonly
-   * @example
-   * enmap.set(enmap.autonum, "This is a new value");
-   * @return {string} The generated key number.
+   * Whether the enmap can still be used, which is until close() is called.
+   * @returns {boolean}
    */
-  get autonum(): string {
-    let result = this.#db
-      .prepare("SELECT lastnum FROM 'internal::autonum' WHERE enmap = ?")
-      .get(this.#name) as { lastnum: number } | undefined;
-
-    let lastnum = result ? parseInt(result.lastnum.toString(), 10) : 0;
-
-    lastnum++;
-    this.#db
-      .prepare(
-        "INSERT OR REPLACE INTO 'internal::autonum' (enmap, lastnum) VALUES (?, ?)",
-      )
-      .run(this.#name, lastnum);
-    return lastnum.toString();
+  get isOpen(): boolean {
+    return !this.#closed && this.#database.open;
   }
 
-  // Array methods
   /**
-   * Get all the keys of the enmap as an array.
-   * @returns {Array<string>} An array of all the keys in the enmap.
+   * Closes the enmap: stops its timers and watchers, and releases its database connection.
+   * Enmaps in the same file share a connection, which is closed when the last of them is closed.
+   * Any later use of the enmap throws an `EnmapDBConnectionError`. Closing an enmap twice does nothing.
+   * Enmaps are also closed at the end of a `using` block.
+   * @example
+   * const enmap = new Enmap({ name: 'temporary' });
+   * enmap.set('key', 'value');
+   * enmap.close();
+   *
+   * {
+   *   using scratch = new Enmap({ inMemory: true });
+   *   scratch.set('key', 'value');
+   * } // closed here
    */
-  keys(): string[] {
-    const stmt = this.#db.prepare(`SELECT key FROM ${this.#name}`);
-    const indexes: string[] = [];
-    for (const row of stmt.iterate() as IterableIterator<{ key: string }>) {
-      indexes.push(row.key);
+  close(): void {
+    if (this.#closed) return;
+    this.#closed = true;
+    clearInterval(this.#purgeTimer);
+    clearInterval(this.#feedTimer);
+    clearInterval(this.#snapshotTimer);
+    this.#watchers.clear();
+    this.#cache?.clear();
+    this.#statements.clear();
+    const connection = this.#connection;
+    if (!connection) {
+      databases.delete(this.#database);
+      this.#database.close();
+    } else if (--connection.enmaps === 0) {
+      // The connection may have been replaced if it was closed directly through the db property.
+      for (const [file, shared] of connections)
+        if (shared === connection) connections.delete(file);
+      databases.delete(connection.db);
+      connection.db.close();
     }
-    return indexes;
   }
 
-  indexes(): string[] {
-    return this.keys();
+  [Symbol.dispose](): void {
+    this.close();
   }
 
   /**
-   * Get all the values of the enmap as an array.
-   * @returns {Array<*>} An array of all the values in the enmap.
+   * Deletes the enmap from the database: its table, indexes and change feed, and its autonum and migration version.
+   * The enmap is closed afterwards. Other Enmap instances using the same name must not be used anymore.
+   * **__WARNING__**: All the data of the enmap is lost! This cannot be undone.
+   * @example
+   * const { oldFeature } = Enmap.multi(['oldFeature']);
+   * oldFeature.drop();
    */
-  values(): V[] {
-    const stmt = this.#db.prepare(`SELECT value FROM ${this.#name}`);
-    const values: V[] = [];
-    for (const row of stmt.iterate() as IterableIterator<{ value: string }>) {
-      values.push(this.#parse(row.value));
-    }
-    return values;
+  drop(): void {
+    this.transaction(() => {
+      this.#db.exec(`
+        DROP TABLE ${this.#table};
+        DROP TABLE IF EXISTS "${this.#name}::changes";
+      `);
+      for (const table of ['internal::autonum', 'internal::versions'])
+        this.#db
+          .prepare(`DELETE FROM ${quote(table)} WHERE enmap = ?`)
+          .run(this.#name);
+    });
+    this.close();
   }
 
   /**
-   * Get all entries of the enmap as an array, with each item containing the key and value.
-   * @returns {Array<Array<*,*>>} An array of arrays, with each sub-array containing two items, the key and the value.
+   * Renames the enmap, along with its indexes, change feed, autonum and migration version.
+   * Other Enmap instances using the old name must be created again with the new one.
+   * @param {string} name The new name, which must not be used by another enmap in the same file.
+   * @example
+   * const users = new Enmap({ name: 'user-data' });
+   * users.rename('users');
+   * @returns {Enmap} The enmap.
    */
-  entries(): [string, V][] {
-    const stmt = this.#db.prepare(`SELECT key, value FROM ${this.#name}`);
-    const entries: [string, V][] = [];
-    for (const row of stmt.iterate() as IterableIterator<{
-      key: string;
-      value: string;
+  rename(name: string): this {
+    checkName(name);
+    const exists = (table: string) =>
+      this.#db
+        .prepare(
+          // Table names are case-insensitive in SQLite.
+          "SELECT count(*) FROM sqlite_master WHERE type = 'table' AND name = ? COLLATE NOCASE",
+        )
+        .pluck()
+        .get(table) as number;
+    if (exists(name))
+      throw new Err(
+        `Cannot rename the enmap "${this.#name}" to "${name}" because an enmap with that name already exists`,
+        'EnmapArgumentError',
+      );
+    const feed = exists(`${this.#name}::changes`);
+    this.transaction(() => {
+      // Index and trigger names contain the enmap name, and SQLite can't rename them.
+      for (const path of this.#indexes)
+        this.#db.exec(`DROP INDEX "${this.#name}::index::${path}"`);
+      if (feed)
+        this.#db.exec(`
+          DROP TRIGGER IF EXISTS "${this.#name}::changes::insert";
+          DROP TRIGGER IF EXISTS "${this.#name}::changes::update";
+          DROP TRIGGER IF EXISTS "${this.#name}::changes::delete";
+          ALTER TABLE "${this.#name}::changes" RENAME TO "${name}::changes";
+        `);
+      this.#db.exec(`ALTER TABLE ${this.#table} RENAME TO ${quote(name)}`);
+      for (const table of ['internal::autonum', 'internal::versions'])
+        this.#db
+          .prepare(`UPDATE ${quote(table)} SET enmap = ? WHERE enmap = ?`)
+          .run(name, this.#name);
+      for (const path of this.#indexes)
+        this.#createIndex(path, this.#jsonPath(path)!, name);
+      if (feed) this.#createFeed(name);
+    });
+    // Only once the rename is committed: if it's rolled back, the enmap keeps its name.
+    this.#statements.clear();
+    this.#name = name;
+    this.#table = quote(name);
+    return this;
+  }
+
+  /**
+   * Rebuilds the database file of the enmap, to give the space left by deleted data back to the disk.
+   * This rewrites the whole file, including the other enmaps stored in it, and can take a while on large databases.
+   * Expired keys still take space until purge() is called.
+   * @example
+   * enmap.purge();
+   * const freed = enmap.vacuum();
+   * @returns {number} The number of bytes freed.
+   */
+  vacuum(): number {
+    const size = () =>
+      (this.#db.pragma('page_count', { simple: true }) as number) *
+      (this.#db.pragma('page_size', { simple: true }) as number);
+    const before = size();
+    this.#db.exec('VACUUM');
+    return before - size();
+  }
+
+  /**
+   * Lets SQLite analyze the tables of the database file, so that it picks the best indexes for queries. Cheap enough
+   * to run regularly, for instance before closing a long-running process.
+   * @example
+   * enmap.optimize();
+   * @returns {Enmap} The enmap.
+   */
+  optimize(): this {
+    this.#db.pragma('optimize');
+    return this;
+  }
+
+  /**
+   * Runs a function inside a single SQLite transaction. If the function throws, every change it made is rolled back
+   * and the error is rethrown. Enmaps stored in the same file (such as those created by Enmap.multi()) share
+   * their connection, so a transaction started from any of them also covers writes made through the others.
+   * Change events are only fired once the transaction commits, and never if it is rolled back.
+   * Transactions can be nested, an inner transaction that throws only rolls back its own changes.
+   * The function must be synchronous.
+   * @param {Function} fn The function to run. Its return value is returned by transaction().
+   * @example
+   * const { balances, logs } = Enmap.multi(['balances', 'logs']);
+   * balances.transaction(() => {
+   *   balances.math(from, '-', amount);
+   *   balances.math(to, '+', amount);
+   *   logs.set(logs.autonum, { from, to, amount });
+   * });
+   * @returns {*} The return value of the function.
+   */
+  transaction<R>(fn: () => R): R {
+    const pending = pendingEvents.get(this.#db);
+    if (pending) {
+      // Nested: better-sqlite3 uses a savepoint, drop the events it rolls back.
+      const queued = pending.length;
+      try {
+        return this.#db.transaction(fn)();
+      } catch (e) {
+        pending.length = queued;
+        throw e;
+      }
+    }
+    const events: (() => void)[] = [];
+    pendingEvents.set(this.#db, events);
+    let result: R;
+    try {
+      result = this.#db.transaction(fn)();
+    } finally {
+      pendingEvents.delete(this.#db);
+    }
+    for (const dispatch of events) dispatch();
+    return result;
+  }
+
+  /**
+   * Get the version of the stored values, which is the version of the last migration applied to this enmap.
+   * @returns {number} The version, or 0 if no migration was ever applied.
+   */
+  get schemaVersion(): number {
+    const version = this.#db
+      .prepare("SELECT version FROM 'internal::versions' WHERE enmap = ?")
+      .pluck()
+      .get(this.#name) as number | undefined;
+    return version ?? 0;
+  }
+
+  /**
+   * Get the read cache of this enmap, used to clear or evict keys and to check its statistics.
+   * @returns {EnmapCache|null} The cache, or `null` if the `cache` option is not set.
+   * @example
+   * enmap.cache.evict('guild1');
+   * const { hits, misses } = enmap.cache.stats;
+   */
+  get cache(): EnmapCache<V> | null {
+    return this.#cache;
+  }
+
+  /**
+   * Generates an automatic numerical key for inserting a new value.
+   * This is a "weak" method, it ensures the value isn't duplicated, but does not
+   * guarantee it's sequential (if a value is deleted, another can take its place).
+   * Useful for logging, actions, items, etc - anything that doesn't already have a unique ID.
+   * @readonly
+   * @example
+   * enmap.set(enmap.autonum, "This is a new value");
+   * @return {string} The generated key number.
+   */
+  get autonum(): string {
+    let result = this.#prepare(
+      "SELECT lastnum FROM 'internal::autonum' WHERE enmap = ?",
+    ).get(this.#name) as { lastnum: number } | undefined;
+
+    let lastnum = result ? parseInt(result.lastnum.toString(), 10) : 0;
+
+    lastnum++;
+    this.#prepare(
+      "INSERT OR REPLACE INTO 'internal::autonum' (enmap, lastnum) VALUES (?, ?)",
+    ).run(this.#name, lastnum);
+    return lastnum.toString();
+  }
+
+  // Array methods
+  /**
+   * Get all the keys of the enmap as an array.
+   * @returns {Array<string>} An array of all the keys in the enmap.
+   */
+  keys(): string[] {
+    const stmt = this.#prepare(
+      `SELECT key FROM ${this.#table} WHERE ${LIVE_ROWS}`,
+    );
+    const indexes: string[] = [];
+    for (const row of stmt.iterate(Date.now()) as IterableIterator<{
+      key: string;
     }>) {
+      indexes.push(row.key);
+    }
+    return indexes;
+  }
+
+  indexes(): string[] {
+    return this.keys();
+  }
+
+  /**
+   * Get all the values of the enmap as an array.
+   * @returns {Array<*>} An array of all the values in the enmap.
+   */
+  values(): V[] {
+    const values: V[] = [];
+    for (const row of this.#rows()) {
+      values.push(this.#parse(row.value, row.key));
+    }
+    return values;
+  }
+
+  /**
+   * Get all entries of the enmap as an array, with each item containing the key and value.
+   * @returns {Array<Array<*,*>>} An array of arrays, with each sub-array containing two items, the key and the value.
+   */
+  entries(): [string, V][] {
+    const entries: [string, V][] = [];
+    for (const row of this.#rows()) {
       entries.push([row.key, this.#parse(row.value, row.key)]);
     }
     return entries;
   }
 
+  /**
+   * Lazily iterates over the keys of the enmap. Rows are read from the database in small batches,
+   * so the whole enmap is never held in memory and the enmap can be modified while iterating.
+   * @example
+   * for (const key of enmap.iterKeys()) {
+   *   console.log(key);
+   * }
+   * @returns {Iterator<string>} An iterator over the keys.
+   */
+  *iterKeys(): IterableIterator<string> {
+    for (const rows of this.#batches('key')) {
+      for (const row of rows) yield row.key;
+    }
+  }
+
+  /**
+   * Lazily iterates over the values of the enmap. See iterKeys().
+   * @returns {Iterator<*>} An iterator over the values.
+   */
+  *iterValues(): IterableIterator<V> {
+    for (const [, value] of this.iterEntries()) yield value;
+  }
+
+  /**
+   * Lazily iterates over the entries of the enmap. See iterKeys(). This is also what `for...of` uses on the enmap itself.
+   * @example
+   * for (const [key, value] of enmap) {
+   *   console.log(key, value);
+   * }
+   * @returns {Iterator<Array<*,*>>} An iterator over `[key, value]` pairs.
+   */
+  *iterEntries(): IterableIterator<[string, V]> {
+    for (const rows of this.#batches('key, value')) {
+      for (const row of rows) yield [row.key, this.#parse(row.value!, row.key)];
+    }
+  }
+
+  [Symbol.iterator](): IterableIterator<[string, V]> {
+    return this.iterEntries();
+  }
+
+  /**
+   * Asynchronously iterates over the entries of the enmap, giving the event loop a chance to run between
+   * each batch of rows. Useful to walk through large enmaps without blocking the process, or in streaming pipelines.
+   * @example
+   * for await (const [key, value] of enmap) {
+   *   await send(key, value);
+   * }
+   * @returns {AsyncIterator<Array<*,*>>} An async iterator over `[key, value]` pairs.
+   */
+  async *[Symbol.asyncIterator](): AsyncIterableIterator<[string, V]> {
+    for (const rows of this.#batches('key, value')) {
+      for (const row of rows) yield [row.key, this.#parse(row.value!, row.key)];
+      await setImmediate();
+    }
+  }
+
   /**
    * Update an existing object value in Enmap by merging new keys. **This only works on objects**, any other value will throw an error.
    * Heavily inspired by setState from React's class components.
@@ -413,6 +1306,10 @@ export default class Enmap<V = any, SV = unknown> {
    * @param {*} valueOrFunction Either an object to merge with the existing value, or a function that provides the existing object
    * and expects a new object as a return value. In the case of a straight value, the merge is recursive and will add any missing level.
    * If using a function, it is your responsibility to merge the objects together correctly.
+   * @param {Object} [options] Options.
+   * @param {number} [options.expectedVersion] The version() the key must be at. If the key was written since, by this process or another,
+   * nothing is written and an `EnmapConflictError` is thrown, so the update can be retried with the new value.
+   * @param {string} [options.arrays] How arrays are merged, with an object: see mergeAt().
    * @example
    * // Define an object we're going to update
    * enmap.set("obj", { a: 1, b: 2, c: 3 });
@@ -429,20 +1326,102 @@ export default class Enmap<V = any, SV = unknown> {
    * }));
    * // this example takes heavy advantage of the spread operators.
    * // More info: https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Operators/Spread_syntax
+   *
+   * // Optimistic concurrency
+   * const version = enmap.version("obj");
+   * // ...later, fails if "obj" was written in the meantime
+   * enmap.update("obj", { h: 8 }, { expectedVersion: version });
    * @returns {*} The modified (merged) value.
    */
-  update(key: string, valueOrFunction: Partial<V> | ((data: V) => V)): V {
+  update(
+    key: string,
+    valueOrFunction: Partial<V> | ((data: V) => V),
+    options: UpdateOptions = {},
+  ): V {
     this.#keycheck(key);
-    this.#check(key, ['Object']);
-    const data = this.get(key) as V;
+    const { expectedVersion, arrays } = options;
+    // The cache may not have seen writes from other processes yet: check the version, then read the row itself.
+    if (!isNil(expectedVersion)) {
+      this.#conflict(key, expectedVersion);
+      this.#cache?.evict(key);
+    }
+    const data = this.#read(key) as V;
+    this.#check(key, data, ['Object']);
     const fn = isFunction(valueOrFunction)
       ? (valueOrFunction as (data: V) => V)
-      : (currentData: V) => merge(currentData, valueOrFunction);
+      : (currentData: V) => mergeValues(currentData, valueOrFunction, arrays);
+    const oldValue = this.#snapshot(data);
     const merged = fn(data);
-    this.#set(key, merged);
+    this.#commit(
+      key,
+      merged,
+      { keepTtl: true, expectedVersion },
+      'update',
+      oldValue,
+    );
     return merged;
   }
 
+  /**
+   * Merges an object into an existing value, or into an object or array at a path inside of it.
+   * Missing levels are created, like with update().
+   * @param {string} key Required. The key of the object to merge into.
+   * @param {*} partial Required. The object (or array) to merge.
+   * @param {string} path Optional. The path to the property to merge into.
+   * @param {Object} [options] Options.
+   * @param {string} [options.arrays] How arrays are merged: `merge` merges them index by index (the default),
+   * `replace` replaces them, `concat` appends the new items, and `union` only appends the items that aren't in the array yet.
+   * @example
+   * enmap.set("user", { profile: { name: "Bob", roles: ["member"] } });
+   *
+   * enmap.mergeAt("user", { roles: ["admin"] }, "profile", { arrays: "union" });
+   * // user is now { profile: { name: "Bob", roles: ["member", "admin"] } }
+   * @returns {Enmap} The enmap.
+   */
+  mergeAt(
+    key: string,
+    partial: Partial<V>,
+    path?: null,
+    options?: MergeOptions,
+  ): this;
+  mergeAt<P extends Path<V>>(
+    key: string,
+    partial: Partial<PathValue<V, P>>,
+    path: P,
+    options?: MergeOptions,
+  ): this;
+  mergeAt(
+    key: string,
+    partial: any,
+    path?: Path<V> | null,
+    options: MergeOptions = {},
+  ): this {
+    this.#keycheck(key);
+    if (!isObject(partial))
+      throw new Err(
+        'The value to merge must be an object or an array',
+        'EnmapTypeError',
+      );
+    const current = this.#read(key);
+    this.#check(key, current, ['Object', 'Array']);
+    const target = this.#at(key, current, path);
+    if (!isNil(target) && !isObject(target))
+      throw new Err(
+        `The property "${path}" in key "${key}" is not an object or an array in the enmap "${this.#name}"`,
+        'EnmapTypeError',
+      );
+    const oldValue = this.#snapshot(current);
+    const merged = mergeValues(target ?? {}, partial, options.arrays);
+    this.#commit(
+      key,
+      this.#place(current, path, merged),
+      { keepTtl: true },
+      'mergeAt',
+      oldValue,
+    );
+    return this;
+  }
+
   /**
    * Returns an observable object. Modifying this object or any of its properties/indexes/children
    * will automatically save those changes into enmap. This only works on
@@ -454,21 +1433,94 @@ export default class Enmap<V = any, SV = unknown> {
   observe(key: string): V;
   observe<P extends Path<V>>(key: string, path: P): PathValue<V, P>;
   observe<P extends Path<V>>(key: string, path?: P): V | PathValue<V, P> {
-    this.#check(key, ['Object', 'Array'], path);
-    const data = this.get(key, path);
+    const current = this.#read(key);
+    this.#check(key, current, ['Object', 'Array'], path);
+    const data = this.#at(key, current, path);
     const proxy = onChange(data as Record<string, unknown>, () => {
-      this.set(key, proxy, path);
+      this.#write(key, proxy, path, { keepTtl: true }, 'observe');
     });
     return proxy as V | PathValue<V, P>;
   }
 
+  /**
+   * Removes a property from an object value in Enmap. Unlike delete(key, path), which sets the property to `undefined`,
+   * the property no longer exists afterwards.
+   * @param {string} key Required. The key of the object.
+   * @param {string} path Required. The path to the property to remove, such as "prop1.subprop2".
+   * @example
+   * enmap.set("user", { name: "Bob", temp: true });
+   * enmap.unset("user", "temp"); // user is now { name: "Bob" }
+   * @returns {Enmap} The enmap.
+   */
+  unset(key: string, path: Path<V>): this {
+    this.#keycheck(key);
+    const current = this.#read(key);
+    this.#check(key, current, ['Object']);
+    if (!_has(current, path)) return this;
+    const oldValue = this.#snapshot(current);
+    _unset(current, path);
+    this.#commit(key, current as V, { keepTtl: true }, 'unset', oldValue);
+    return this;
+  }
+
+  /**
+   * Renames a property of an object value in Enmap, keeping its value.
+   * @param {string} key Required. The key of the object.
+   * @param {string} from Required. The path of the property to rename.
+   * @param {string} to Required. The new path of the property. Missing levels are created.
+   * @example
+   * enmap.set("user", { name: "Bob" });
+   * enmap.renameProp("user", "name", "profile.displayName");
+   * // user is now { profile: { displayName: "Bob" } }
+   * @returns {Enmap} The enmap.
+   */
+  renameProp(key: string, from: Path<V>, to: string): this {
+    this.#keycheck(key);
+    const current = this.#read(key);
+    this.#check(key, current, ['Object']);
+    const oldValue = this.#snapshot(current);
+    this.#renameProp(key, current as object, from, to);
+    this.#commit(key, current as V, { keepTtl: true }, 'renameProp', oldValue);
+    return this;
+  }
+
+  /**
+   * Returns a copy of an object value with only the given properties.
+   * @param {string} key Required. The key of the object.
+   * @param {Array<string>} paths Required. The paths of the properties to keep.
+   * @example
+   * enmap.set("user", { name: "Bob", email: "bob@example.com", stats: { xp: 5, level: 1 } });
+   * enmap.pick("user", ["name", "stats.level"]); // { name: "Bob", stats: { level: 1 } }
+   * @returns {*} The partial object, or null if the key does not exist.
+   */
+  pick<P extends Path<V>>(key: string, paths: P[]): Partial<V> | null {
+    const data = this.#object(key);
+    return data && (_pick(data, paths) as Partial<V>);
+  }
+
+  /**
+   * Returns a copy of an object value without the given properties.
+   * @param {string} key Required. The key of the object.
+   * @param {Array<string>} paths Required. The paths of the properties to leave out.
+   * @example
+   * enmap.set("user", { name: "Bob", email: "bob@example.com" });
+   * enmap.omit("user", ["email"]); // { name: "Bob" }
+   * @returns {*} The partial object, or null if the key does not exist.
+   */
+  omit<P extends Path<V>>(key: string, paths: P[]): Partial<V> | null {
+    const data = this.#object(key);
+    return data && (_omit(data, paths) as Partial<V>);
+  }
+
   /**
    * Push to an array value in Enmap.
    * @param {string} key Required. The key of the array element to push to in Enmap.
    * @param {*} value Required. The value to push to the array.
    * @param {string} path Optional. The path to the property to modify inside the value object or array.
    * Should be a path with dot notation, such as "prop1.subprop2.subprop3"
-   * @param {boolean} allowDupes Optional. Allow duplicate values in the array (default: false).
+   * @param {boolean|Object} options Optional. Allow duplicate values in the array (default: false), or an object of options.
+   * @param {boolean} [options.allowDupes] Allow duplicate values in the array (default: false).
+   * @param {number} [options.maxLength] Keep at most this many values, removing the oldest ones from the start of the array.
    * @example
    * // Assuming
    * enmap.set("simpleArray", [1, 2, 3, 4]);
@@ -476,24 +1528,46 @@ export default class Enmap<V = any, SV = unknown> {
    *
    * enmap.push("simpleArray", 5); // adds 5 at the end of the array
    * enmap.push("arrayInObject", "five", "sub"); // adds "five" at the end of the sub array
+   * // A rolling log of the last 100 entries
+   * enmap.push("log", entry, null, { allowDupes: true, maxLength: 100 });
    */
-  push(key: string, value: V, path?: Path<V>, allowDupes = false): this {
-    this.#keycheck(key);
-    this.#check(key, ['Array', 'Object']);
-    const data = this.get(key, path);
-    if (!isArray(data))
-      throw new Err('Key does not point to an array', 'EnmapPathError');
-    if (!allowDupes && data.includes(value)) return this;
-    data.push(value);
-    this.set(key, data as V, path);
-    return this;
+  push(
+    key: string,
+    value: V,
+    path?: Path<V> | null,
+    options: boolean | PushOptions = false,
+  ): this {
+    return this.#push(key, [value], path, options, 'push');
+  }
+
+  /**
+   * Push several values to an array value in Enmap, in a single write.
+   * @param {string} key Required. The key of the array element to push to in Enmap.
+   * @param {Array<*>} values Required. The values to push to the array.
+   * @param {string} path Optional. The path to the property to modify inside the value object or array.
+   * @param {boolean|Object} options Optional. The same options as push(). Without allowDupes, values already in the array are skipped.
+   * @example
+   * enmap.pushMany("inventory", ["sword", "shield"], "items");
+   */
+  pushMany(
+    key: string,
+    values: V[],
+    path?: Path<V> | null,
+    options: boolean | PushOptions = false,
+  ): this {
+    if (!isArray(values))
+      throw new Err('The values to push must be an array', 'EnmapTypeError');
+    return this.#push(key, values, path, options, 'pushMany');
   }
 
   /**
    * Executes a mathematical operation on a value and saves it in the enmap.
+   * Operations running at the same time in other processes are never lost: integers are updated by a single SQL statement,
+   * other numbers are only written if nobody changed them since they were read, and the operation is retried otherwise.
+   * This applies to inc(), dec(), incBy() and clamp() too.
    * @param {string} key The enmap key on which to execute the math operation.
    * @param {string} operation Which mathematical operation to execute. Supports most
-   * math ops: =, -, *, /, %, ^, and english spelling of those operations.
+   * math ops: =, -, *, /, %, ^, and english spelling of those operations. `min` and `max` keep the smaller or larger of the value and the operand.
    * @param {number} operand The right operand of the operation.
    * @param {string} path Optional. The property path to execute the operation on, if the value is an object or array.
    * @example
@@ -505,6 +1579,7 @@ export default class Enmap<V = any, SV = unknown> {
    * points.math("number", "add", 5); // 26
    * points.math("number", "modulo", 3); // 2
    * points.math("numberInObject", "+", 10, "sub.anInt");
+   * points.math("number", "max", 5); // 5, the value is at least 5
    * @returns {number} The updated value after the operation
    */
   math(
@@ -514,14 +1589,14 @@ export default class Enmap<V = any, SV = unknown> {
     path?: Path<V>,
   ): number | null {
     this.#keycheck(key);
-    this.#check(key, ['Number'], path);
-    const data = this.get(key, path);
-    if (typeof data !== 'number') {
-      throw new Err(`Value at key "${key}" is not a number`, 'EnmapTypeError');
-    }
-    const updatedValue = this.#math(data, operation, operand);
-    this.set(key, updatedValue as V, path);
-    return updatedValue;
+    return this.#numeric(
+      key,
+      path,
+      'math',
+      (data) => this.#math(data, operation, operand),
+      MATH_SQL[operation],
+      { operand },
+    );
   }
 
   /**
@@ -539,9 +1614,13 @@ export default class Enmap<V = any, SV = unknown> {
    */
   inc(key: string, path?: Path<V>): this {
     this.#keycheck(key);
-    this.#check(key, ['Number'], path);
-    const data = this.get(key, path) as number;
-    this.set(key, (data + 1) as V, path);
+    this.#numeric(
+      key,
+      path,
+      'inc',
+      (data) => data + 1,
+      (x) => `${x} + 1`,
+    );
     return this;
   }
 
@@ -560,12 +1639,69 @@ export default class Enmap<V = any, SV = unknown> {
    */
   dec(key: string, path?: Path<V>): this {
     this.#keycheck(key);
-    this.#check(key, ['Number'], path);
-    const data = this.get(key, path) as number;
-    this.set(key, (data - 1) as V, path);
+    this.#numeric(
+      key,
+      path,
+      'dec',
+      (data) => data - 1,
+      (x) => `${x} - 1`,
+    );
     return this;
   }
 
+  /**
+   * Adds an amount to a key's value or property, keeping the result between optional bounds. Value must be a number, or a path to a number.
+   * @param {string} key The enmap key where the number is stored.
+   * @param {number} amount The amount to add, negative to subtract.
+   * @param {Object} [options] Options.
+   * @param {number} [options.floor] The lowest value the result can have.
+   * @param {number} [options.ceiling] The highest value the result can have.
+   * @param {string} [options.path] The property path of the number, if the value is an object.
+   * @example
+   * // Spending coins, without going below 0
+   * economy.incBy(userId, -price, { floor: 0, path: 'coins' });
+   * // Gaining experience, up to the maximum level
+   * levels.incBy(userId, 50, { ceiling: 10000 });
+   * @returns {number} The updated value.
+   */
+  incBy(key: string, amount: number, options: IncByOptions = {}): number {
+    this.#keycheck(key);
+    const { floor = -Infinity, ceiling = Infinity, path } = options;
+    this.#bounds(amount, floor, ceiling);
+    return this.#numeric(
+      key,
+      path as Path<V> | undefined,
+      'incBy',
+      (data) => Math.min(Math.max(data + amount, floor), ceiling),
+      (x) => this.#clampSql(`${x} + @amount`, floor, ceiling),
+      { amount, ...pickBy({ floor, ceiling }, Number.isFinite) },
+    )!;
+  }
+
+  /**
+   * Keeps a key's value or property between two bounds: values below `min` become `min`, values above `max` become `max`.
+   * Value must be a number, or a path to a number.
+   * @param {string} key The enmap key where the number is stored.
+   * @param {number} min The lowest allowed value.
+   * @param {number} max The highest allowed value.
+   * @param {string} path Optional. The property path of the number, if the value is an object.
+   * @example
+   * settings.clamp(guildId, 1, 100, 'volume');
+   * @returns {number} The updated value.
+   */
+  clamp(key: string, min: number, max: number, path?: Path<V>): number {
+    this.#keycheck(key);
+    this.#bounds(0, min, max);
+    return this.#numeric(
+      key,
+      path,
+      'clamp',
+      (data) => Math.min(Math.max(data, min), max),
+      (x) => this.#clampSql(x, min, max),
+      pickBy({ floor: min, ceiling: max }, Number.isFinite),
+    )!;
+  }
+
   /**
    * Returns the key's value, or the default given, ensuring that the data is there.
    * This is a shortcut to "if enmap doesn't have key, set it, then get it" which is a very common pattern.
@@ -573,6 +1709,8 @@ export default class Enmap<V = any, SV = unknown> {
    * @param {*} defaultValue Required. The value you want to save in the database and return as default.
    * @param {string} path Optional. If presents, ensures both the key exists as an object, and the full path exists.
    * Should be a path with dot notation, such as "prop1.subprop2.subprop3"
+   * @param {Object} options Optional. `ttl` sets the time-to-live of the key in milliseconds, if it has to be created.
+   * An existing key keeps its current expiry.
    * @example
    * // Simply ensure the data exists (for using property methods):
    * enmap.ensure("mykey", {some: "value", here: "as an example"});
@@ -584,16 +1722,23 @@ export default class Enmap<V = any, SV = unknown> {
    * console.log(settings) // enmap's value for "1234567890" if it exists, otherwise the defaultSettings value.
    * @return {*} The value from the database for the key, or the default value provided for a new key.
    */
-  ensure(key: string, defaultValue: any): V | null;
+  ensure(
+    key: string,
+    defaultValue: any,
+    path?: null,
+    options?: Pick<SetOptions, 'ttl'>,
+  ): V | null;
   ensure<P extends Path<V>>(
     key: string,
     defaultValue: any,
     path: P,
+    options?: Pick<SetOptions, 'ttl'>,
   ): PathValue<V, P> | null;
   ensure<P extends Path<V>>(
     key: string,
     defaultValue: any,
-    path?: P,
+    path?: P | null,
+    options: Pick<SetOptions, 'ttl'> = {},
   ): V | PathValue<V, P> | null {
     this.#keycheck(key);
 
@@ -606,17 +1751,31 @@ export default class Enmap<V = any, SV = unknown> {
     }
 
     const clonedDefault = cloneDeep(defaultValue);
+    const current = this.#read(key);
 
     if (!isNil(path)) {
-      if (this.has(key) && this.get(key, path) !== undefined)
-        return this.get(key, path);
-      if (this.#ensureProps) this.ensure(key, {});
-
-      this.set(key, clonedDefault, path);
+      if (current !== undefined) {
+        const value = this.#at(key, current, path);
+        if (value !== undefined) return value;
+      }
+      const oldValue = this.#snapshot(current);
+      // A missing key starts from the autoEnsure value, like any other write.
+      const data = this.#place(
+        current ?? cloneDeep(this.#autoEnsure),
+        path,
+        clonedDefault,
+      );
+      this.#commit(
+        key,
+        data,
+        current === undefined ? { ttl: options.ttl } : { keepTtl: true },
+        'ensure',
+        oldValue,
+      );
       return clonedDefault;
     }
 
-    if (this.#ensureProps && isObject(this.get(key))) {
+    if (this.#ensureProps && isObject(current)) {
       if (!isObject(clonedDefault))
         throw new Err(
           `Default value for "${key}" in enmap "${
@@ -624,13 +1783,14 @@ export default class Enmap<V = any, SV = unknown> {
           }" must be an object when merging with an object value.`,
           'EnmapArgumentError',
         );
-      const merged = merge(clonedDefault, this.get(key));
-      this.set(key, merged);
+      const oldValue = this.#snapshot(current);
+      const merged = merge(clonedDefault, current);
+      this.#commit(key, merged, { keepTtl: true }, 'ensure', oldValue);
       return merged;
     }
 
-    if (this.has(key)) return this.get(key);
-    this.set(key, clonedDefault);
+    if (current !== undefined) return current;
+    this.#commit(key, clonedDefault, { ttl: options.ttl }, 'ensure', undefined);
     return clonedDefault;
   }
 
@@ -645,8 +1805,9 @@ export default class Enmap<V = any, SV = unknown> {
    */
   includes(key: string, value: V, path?: Path<V>): boolean {
     this.#keycheck(key);
-    this.#check(key, ['Array'], path);
-    const data = this.get(key, path) as V[] | undefined;
+    const current = this.#read(key);
+    this.#check(key, current, ['Array'], path);
+    const data = this.#at(key, current, path) as V[] | null;
     return data?.includes(value) || false;
   }
 
@@ -670,88 +1831,571 @@ export default class Enmap<V = any, SV = unknown> {
    */
   remove(key: string, val: V | ((value: V) => boolean), path?: Path<V>): this {
     this.#keycheck(key);
-    this.#check(key, ['Array', 'Object']);
-    const data = this.get(key, path) as V[];
+    const current = this.#read(key);
+    this.#check(key, current, ['Array', 'Object']);
+    const data = this.#at(key, current, path) as V[];
     const criteria = isFunction(val)
       ? (val as (value: V) => boolean)
       : (value: V) => val === value;
+    const oldValue = this.#snapshot(current);
     const index = data?.findIndex(criteria) ?? -1;
     if (index > -1) {
       data.splice(index, 1);
     }
-    this.set(key, data as V, path);
+    this.#commit(
+      key,
+      this.#place(current, path, data),
+      { keepTtl: true },
+      'remove',
+      oldValue,
+    );
     return this;
   }
 
   /**
-   * Exports the enmap data to stringified JSON format.
-   * **__WARNING__**: Does not work on memory enmaps containing complex data!
-   * @returns {string} The enmap data in a stringified JSON format.
+   * Remove every matching value from an array in Enmap, unlike remove() which only removes the first one.
+   * @param {string} key Required. The key of the element to remove from in Enmap.
+   * @param {*|Function} val Required. The value to remove from the array, or a function returning true for the values to remove.
+   * @param {string} path Optional. The name of the array property to remove from.
+   * @example
+   * enmap.removeAll("inventory", (item) => item.broken, "items");
+   * @returns {number} The number of values removed.
    */
-  export(): string {
-    const stmt = this.#db.prepare(`SELECT key, value FROM ${this.#name}`);
-    const entries: { key: string; value: string }[] = [];
-    for (const row of stmt.iterate() as IterableIterator<{
-      key: string;
-      value: string;
-    }>) {
-      entries.push(row);
-    }
-    return stringify({
-      name: this.#name,
-      exportDate: Date.now(),
-      version: (pkgdata as { version: string }).version,
-      keys: entries,
-    });
+  removeAll(
+    key: string,
+    val: V | ((value: V) => boolean),
+    path?: Path<V> | null,
+  ): number {
+    this.#keycheck(key);
+    const { current, data, oldValue } = this.#array(key, path);
+    const criteria = isFunction(val)
+      ? (val as (value: V) => boolean)
+      : (value: V) => val === value;
+    const kept = (data as V[]).filter((value) => !criteria(value));
+    const removed = data.length - kept.length;
+    if (!removed) return 0;
+    this.#commit(
+      key,
+      this.#place(current, path, kept),
+      { keepTtl: true },
+      'removeAll',
+      oldValue,
+    );
+    return removed;
   }
 
   /**
-   * Import an existing json export from enmap. This data must have been exported from enmap,
-   * and must be from a version that's equivalent or lower than where you're importing it.
-   * (This means Enmap 5 data is compatible in Enmap 6).
-   * @param {string} data The data to import to Enmap. Must contain all the required fields provided by an enmap export().
-   * @param {boolean} overwrite Defaults to `true`. Whether to overwrite existing key/value data with incoming imported data
-   * @param {boolean} clear Defaults to `false`. Whether to clear the enmap of all data before importing
-   * (**__WARNING__**: Any existing data will be lost! This cannot be undone.)
+   * Insert a value in an array in Enmap, at a given index.
+   * @param {string} key Required. The key of the array element in Enmap.
+   * @param {number} index Required. Where to insert the value. Negative indexes count from the end of the array.
+   * @param {*} value Required. The value to insert.
+   * @param {string} path Optional. The path to the array inside the value object.
+   * @example
+   * enmap.set("queue", ["b", "c"]);
+   * enmap.insertAt("queue", 0, "a"); // ["a", "b", "c"]
    */
-  import(data: string, overwrite = true, clear = false): this {
-    let parsedData: { keys: { key: string; value: string }[] };
-    try {
-      parsedData = JSON.parse(data);
-    } catch (e) {
-      throw new Err('Data provided is not valid JSON', 'EnmapDataError');
-    }
-
-    if (isNil(parsedData))
-      throw new Err(
-        `No data provided for import() in "${this.#name}"`,
-        'EnmapImportError',
-      );
-
-    if (clear) this.clear();
-    for (const entry of parsedData.keys) {
-      const { key, value } = entry;
-      if (!overwrite && this.has(key)) continue;
-      this.#db
-        .prepare(
-          `INSERT OR REPLACE INTO ${this.#name} (key, value) VALUES (?, ?)`,
-        )
-        .run(key, value);
-    }
+  insertAt(key: string, index: number, value: V, path?: Path<V> | null): this {
+    this.splice(key, index, 0, [value], path);
     return this;
   }
 
   /**
-   * Initialize multiple Enmaps easily.
-   * @param {Array<string>} names Array of strings. Each array entry will create a separate enmap with that name.
-   * @param {Object} options Options object to pass to each enmap, excluding the name..
+   * Removes values from an array in Enmap and inserts others in their place, like
+   * [Array.splice()](https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Array/splice).
+   * @param {string} key Required. The key of the array element in Enmap.
+   * @param {number} start Required. The index to start at. Negative indexes count from the end of the array.
+   * @param {number} deleteCount Optional. How many values to remove. Defaults to every value after `start`.
+   * @param {Array<*>} items Optional. The values to insert at `start`.
+   * @param {string} path Optional. The path to the array inside the value object.
    * @example
-   * // Using local variables.
-   * import Enmap from 'enmap';
-   * const { settings, tags, blacklist } = Enmap.multi(['settings', 'tags', 'blacklist']);
-   *
-   * // Attaching to an existing object (for instance some API's client)
-   * import Enmap from 'enmap';
+   * enmap.set("queue", ["a", "b", "c"]);
+   * enmap.splice("queue", 1, 1, ["x", "y"]); // returns ["b"], value is now ["a", "x", "y", "c"]
+   * @returns {Array<*>} The removed values.
+   */
+  splice(
+    key: string,
+    start: number,
+    deleteCount?: number | null,
+    items: V[] = [],
+    path?: Path<V> | null,
+  ): V[] {
+    this.#keycheck(key);
+    this.#index(start, 'start');
+    if (!isNil(deleteCount)) this.#index(deleteCount, 'deleteCount');
+    if (!isArray(items))
+      throw new Err('The items to insert must be an array', 'EnmapTypeError');
+    const { current, data, oldValue } = this.#array(key, path);
+    const removed = data.splice(
+      start,
+      deleteCount ?? data.length,
+      ...items,
+    ) as V[];
+    if (removed.length || items.length)
+      this.#commit(key, current, { keepTtl: true }, 'splice', oldValue);
+    return removed;
+  }
+
+  /**
+   * Removes the first value of an array in Enmap and returns it.
+   * @param {string} key Required. The key of the array element in Enmap.
+   * @param {string} path Optional. The path to the array inside the value object.
+   * @returns {*} The removed value, or null if the array was empty.
+   */
+  shift(key: string, path?: Path<V> | null): V | null {
+    return this.#take(key, path, 'shift');
+  }
+
+  /**
+   * Removes the last value of an array in Enmap and returns it.
+   * @param {string} key Required. The key of the array element in Enmap.
+   * @param {string} path Optional. The path to the array inside the value object.
+   * @returns {*} The removed value, or null if the array was empty.
+   */
+  pop(key: string, path?: Path<V> | null): V | null {
+    return this.#take(key, path, 'pop');
+  }
+
+  /**
+   * Adds a value at the start of an array in Enmap. Unlike push(), duplicates are always allowed.
+   * @param {string} key Required. The key of the array element in Enmap.
+   * @param {*} value Required. The value to add.
+   * @param {string} path Optional. The path to the array inside the value object.
+   */
+  unshift(key: string, value: V, path?: Path<V> | null): this {
+    this.#keycheck(key);
+    const { current, data, oldValue } = this.#array(key, path);
+    data.unshift(value);
+    this.#commit(key, current, { keepTtl: true }, 'unshift', oldValue);
+    return this;
+  }
+
+  /**
+   * Moves a value of an array in Enmap to another index, shifting the values in between.
+   * @param {string} key Required. The key of the array element in Enmap.
+   * @param {number} fromIndex Required. The index of the value to move. Negative indexes count from the end of the array.
+   * @param {number} toIndex Required. The index the value ends up at. Negative indexes count from the end of the array.
+   * @param {string} path Optional. The path to the array inside the value object.
+   * @example
+   * enmap.set("playlist", ["a", "b", "c"]);
+   * enmap.move("playlist", 2, 0); // ["c", "a", "b"]
+   */
+  move(
+    key: string,
+    fromIndex: number,
+    toIndex: number,
+    path?: Path<V> | null,
+  ): this {
+    this.#keycheck(key);
+    this.#index(fromIndex, 'fromIndex');
+    this.#index(toIndex, 'toIndex');
+    const { current, data, oldValue } = this.#array(key, path);
+    const from = this.#bound(key, data, fromIndex);
+    const to = this.#bound(key, data, toIndex);
+    if (from === to) return this;
+    data.splice(to, 0, ...data.splice(from, 1));
+    this.#commit(key, current, { keepTtl: true }, 'move', oldValue);
+    return this;
+  }
+
+  /**
+   * Exports the enmap data to stringified JSON format.
+   * @param {Object} [options] Options.
+   * @param {string} [options.values] Defaults to `raw`. With `raw`, values are exported as they are stored in the database,
+   * which only an enmap with the same serializer can read. With `deserialized`, values are exported as get() returns them,
+   * and any enmap can import them: as plain JSON when they only hold JSON types, or tagged by better-serialize to keep
+   * Maps, Sets, Dates and BigInts otherwise.
+   * @returns {string} The enmap data in a stringified JSON format.
+   */
+  export(options: Pick<ExportOptions, 'values'> = {}): string {
+    const { values = 'raw' } = options;
+    const header = createHeader(this.#name, pkgdata.version, values);
+    const keys = [];
+    for (const rows of this.#batches('key, value, expires')) {
+      for (const { key, value, expires } of rows)
+        keys.push(this.#exportEntry(key, value!, expires ?? null, values));
+    }
+    return JSON.stringify({ ...header, keys });
+  }
+
+  /**
+   * Import an existing json export from enmap. This data must have been exported from enmap,
+   * and must be from a version that's equivalent or lower than where you're importing it.
+   * (This means Enmap 5 data is compatible in Enmap 6).
+   * @param {string} data The data to import to Enmap. Must contain all the required fields provided by an enmap export().
+   * @param {boolean} overwrite Defaults to `true`. Whether to overwrite existing key/value data with incoming imported data
+   * @param {boolean} clear Defaults to `false`. Whether to clear the enmap of all data before importing
+   * (**__WARNING__**: Any existing data will be lost! This cannot be undone.)
+   * If the enmap has a schema, every imported value is validated and nothing is imported if one of them is invalid.
+   */
+  import(data: string, overwrite = true, clear = false): this {
+    const decoded = decodeExport(data);
+    if (!decoded)
+      throw new Err(
+        `No data provided for import() in "${this.#name}"`,
+        'EnmapImportError',
+      );
+    // Exports older than the header format have nothing to check.
+    if (!isNil(decoded.header.format))
+      checkHeader(decoded.header, pkgdata.version);
+    const entries = decoded.keys.map((record, index) => {
+      const entry = decodeEntry(record);
+      if (!entry)
+        throw new Err(
+          `Entry ${index} of the import is not a valid entry`,
+          'EnmapDataError',
+        );
+      return entry;
+    });
+
+    // A single invalid entry aborts the whole import.
+    this.transaction(() => {
+      if (clear) this.clear();
+      for (const entry of entries) this.#importEntry(entry, overwrite);
+    });
+    return this;
+  }
+
+  /**
+   * Exports the enmap to a file or stream, one entry at a time, so that large enmaps don't have to fit in memory.
+   * The first line is a header identifying the enmap, followed by one line per entry, and a last line with the number of entries:
+   * ```
+   * {"format":"enmap","formatVersion":1,"name":"users","version":"6.1.3","exportDate":1700000000000,"values":"raw","total":2}
+   * {"key":"alice","value":"{\"t\":1,\"v\":\"Alice\"}","expires":null}
+   * {"key":"bob","value":"{\"t\":1,\"v\":\"Bob\"}","expires":null}
+   * {"end":true,"count":2}
+   * ```
+   * Keys that expired are not exported.
+   * @param {string|Writable|WritableStream} destination The path of the file to write, or a stream. Streams are not closed at the end.
+   * @param {Object} [options] Options.
+   * @param {string} [options.values] Defaults to `raw`, to export values as stored in the database. Set to `deserialized`
+   * to export them as get() returns them, see export().
+   * @param {Function} [options.progress] Called after every batch of entries with `{ count, total }`, the number of entries exported so far, and the size of the enmap when the export started.
+   * @example
+   * await enmap.exportTo('./backups/users.ndjson');
+   * @returns {Promise<number>} The number of exported entries.
+   */
+  async exportTo(
+    destination: string | NodeJS.WritableStream | WritableStream,
+    options: ExportOptions = {},
+  ): Promise<number> {
+    const header = createHeader(
+      this.#name,
+      pkgdata.version,
+      options.values ?? 'raw',
+      this.size,
+    );
+    const output =
+      destination instanceof WritableStream
+        ? Writable.fromWeb(destination)
+        : typeof destination === 'string'
+          ? createWriteStream(destination)
+          : destination;
+    let count = 0;
+    const lines = function* (this: Enmap<V, SV>) {
+      const { values, total } = header as Required<typeof header>;
+      yield `${JSON.stringify(header)}\n`;
+      for (const rows of this.#batches('key, value, expires')) {
+        let chunk = '';
+        for (const { key, value, expires } of rows) {
+          chunk += `${JSON.stringify(this.#exportEntry(key, value!, expires ?? null, values))}\n`;
+        }
+        yield chunk;
+        count += rows.length;
+        options.progress?.({ count, total });
+      }
+      yield `${JSON.stringify({ end: true, count })}\n`;
+    };
+    await pipeline(Readable.from(lines.call(this)), output, {
+      end: typeof destination === 'string',
+    });
+    return count;
+  }
+
+  /**
+   * Imports a file or stream written by exportTo(). The header is checked first: the export must come from this enmap
+   * (or from the one named by `sourceName`), and from this version of Enmap or an older one. Entries are only written once
+   * the whole file has been read and checked, in a single transaction, so an invalid or truncated file doesn't change anything.
+   * @param {string|Readable|ReadableStream} source The path of the file to read, or a stream.
+   * @param {Object} [options] Options.
+   * @param {boolean} [options.overwrite] Defaults to `true`. Whether to overwrite existing keys with imported ones.
+   * @param {boolean} [options.clear] Defaults to `false`. Whether to clear the enmap before importing
+   * (**__WARNING__**: Any existing data will be lost! This cannot be undone.)
+   * @param {string} [options.sourceName] The name of the exported enmap, when importing data from another enmap.
+   * @param {Function} [options.progress] Called after every batch of entries read with `{ count, total }`, the number of entries read so far,
+   * and the number of entries announced by the header.
+   * @example
+   * await enmap.importFrom('./backups/users.ndjson', { clear: true });
+   * @returns {Promise<number>} The number of imported entries.
+   */
+  async importFrom(
+    source: string | NodeJS.ReadableStream | ReadableStream,
+    options: ImportOptions = {},
+  ): Promise<number> {
+    const { overwrite = true, clear = false } = options;
+    const input =
+      source instanceof ReadableStream
+        ? Readable.fromWeb(source)
+        : typeof source === 'string'
+          ? createReadStream(source)
+          : source;
+    const staging = `temp."${this.#name}::import::${importCount++}"`;
+    this.#db.exec(
+      `CREATE TEMP TABLE ${staging} (key text PRIMARY KEY, value text, data text, expires integer)`,
+    );
+    try {
+      const insert = this.#db.prepare(
+        `INSERT OR REPLACE INTO ${staging} (key, value, data, expires) VALUES (?, ?, ?, ?)`,
+      );
+      // Deserialized values are staged with better-serialize, and decoded again when written.
+      const stage = this.#db.transaction((entries: ImportEntry[]) => {
+        for (const entry of entries)
+          insert.run(
+            entry.key,
+            'value' in entry ? entry.value : null,
+            'data' in entry ? stringify(entry.data) : null,
+            entry.expires,
+          );
+      });
+      let header: Partial<ExportHeader> | undefined;
+      let footer: { count: number } | undefined;
+      let entries: ImportEntry[] = [];
+      let count = 0;
+      let line = 0;
+      for await (const text of createInterface({
+        input,
+        crlfDelay: Infinity,
+      })) {
+        line++;
+        if (!text.trim()) continue;
+        if (footer)
+          throw new Err(
+            `Line ${line} of the import comes after its end`,
+            'EnmapImportError',
+          );
+        let record: any;
+        try {
+          record = JSON.parse(text);
+        } catch (e) {
+          throw new Err(
+            `Line ${line} of the import is not valid JSON`,
+            'EnmapDataError',
+          );
+        }
+        if (!header) {
+          header = record ?? {};
+          checkHeader(
+            header!,
+            pkgdata.version,
+            options.sourceName ?? this.#name,
+          );
+        } else if (record?.end === true) {
+          footer = record;
+        } else {
+          const entry = decodeEntry(record);
+          if (!entry)
+            throw new Err(
+              `Line ${line} of the import is not a valid entry`,
+              'EnmapDataError',
+            );
+          entries.push(entry);
+          if (entries.length === ITERATION_BATCH) {
+            stage(entries);
+            count += entries.length;
+            entries = [];
+            options.progress?.({ count, total: header.total! });
+          }
+        }
+      }
+      if (!header) throw new Err('The import is empty', 'EnmapImportError');
+      stage(entries);
+      count += entries.length;
+      if (entries.length) options.progress?.({ count, total: header.total! });
+      if (footer?.count !== count)
+        throw new Err(
+          footer
+            ? `The import is incomplete: ${count} entries were read, but it ends with a count of ${footer.count} entries`
+            : `The import is incomplete: ${count} entries were read, but it does not end with a count of entries`,
+          'EnmapImportError',
+        );
+
+      const select = this.#db.prepare(
+        `SELECT rowid, key, value, data, expires FROM ${staging} WHERE rowid > ? ORDER BY rowid LIMIT ?`,
+      );
+      this.transaction(() => {
+        if (clear) this.clear();
+        let last = 0;
+        while (true) {
+          const rows = select.all(last, ITERATION_BATCH) as {
+            rowid: number;
+            key: string;
+            value: string | null;
+            data: string | null;
+            expires: number | null;
+          }[];
+          for (const { key, value, data, expires } of rows)
+            this.#importEntry(
+              isNil(value)
+                ? { key, data: parse(data!), expires }
+                : { key, value, expires },
+              overwrite,
+            );
+          if (rows.length < ITERATION_BATCH) return;
+          last = rows[rows.length - 1].rowid;
+        }
+      });
+      return count;
+    } finally {
+      this.#db.exec(`DROP TABLE IF EXISTS ${staging}`);
+      if (typeof source === 'string') (input as Readable).destroy();
+    }
+  }
+
+  /**
+   * Copies the database of the enmap to a file while it is in use, with SQLite's online backup.
+   * The copy is consistent even if the enmap is written to while it runs, and includes the other enmaps stored in the same database.
+   * @param {string} destination The path of the file to write. Its folder must exist. An existing file is overwritten.
+   * @param {Object} [options] Options.
+   * @param {Function} [options.progress] Called after every step of the backup with `{ totalPages, remainingPages }`.
+   * @example
+   * await enmap.backup('./backups/enmap.sqlite');
+   * // Later, or in another process
+   * const restored = Enmap.restore('./backups/enmap.sqlite', { name: 'users' });
+   * @returns {Promise<void>}
+   */
+  async backup(
+    destination: string,
+    options: BackupOptions = {},
+  ): Promise<void> {
+    const result = await this.#db.backup(destination, {
+      progress: (progress) => {
+        options.progress?.(progress);
+        return BACKUP_PAGES;
+      },
+    });
+    options.progress?.(result);
+  }
+
+  /**
+   * Takes a backup() in the folder of the `snapshots` option, named after the enmap and the current time,
+   * then deletes the oldest snapshots of this enmap beyond the number to keep. Runs automatically every `interval` milliseconds.
+   * @example
+   * const path = await enmap.snapshot();
+   * @returns {Promise<string>} The path of the new snapshot.
+   */
+  async snapshot(): Promise<string> {
+    if (!this.#snapshots)
+      throw new Err(
+        `Cannot take a snapshot of the enmap "${this.#name}" because its snapshots option is not set.`,
+        'EnmapArgumentError',
+      );
+    const { dir, keep } = this.#snapshots;
+    await mkdir(dir, { recursive: true });
+    const destination = join(dir, `${this.#name}.${Date.now()}.sqlite`);
+    await this.backup(destination);
+    const pattern = new RegExp(`^${this.#name}\\.(\\d+)\\.sqlite$`);
+    const snapshots = (await readdir(dir))
+      .filter((file) => pattern.test(file))
+      .sort(
+        (a, b) => Number(pattern.exec(b)![1]) - Number(pattern.exec(a)![1]),
+      );
+    for (const file of snapshots.slice(keep))
+      await rm(join(dir, file), { force: true });
+    return destination;
+  }
+
+  /**
+   * Creates an enmap, replacing its data with the data of the same enmap in a file written by backup() or snapshot().
+   * The file is checked to contain the enmap before anything is replaced, and the data is swapped in a single transaction.
+   * Migrations run after the restore, on the restored data.
+   * @param {string} source The path of the backup file.
+   * @param {Object} options Options for the enmap, like the constructor.
+   * @param {string} [options.sourceName] The name of the enmap in the backup, when it isn't the same as the restored enmap.
+   * @example
+   * const users = Enmap.restore('./snapshots/users.1700000000000.sqlite', { name: 'users' });
+   * @returns {Enmap} The restored enmap.
+   */
+  static restore<V = unknown, SV = unknown>(
+    source: string,
+    options: RestoreOptions<V, SV>,
+  ): Enmap<V, SV> {
+    const { sourceName, migrations, ...enmapOptions } = options;
+    // The backup is checked before the enmap is created, so a failed restore leaves no empty table behind.
+    const inMemory =
+      enmapOptions.inMemory || enmapOptions.name === '::memory::';
+    const table =
+      sourceName ??
+      (inMemory ? 'MemoryEnmap' : enmapOptions.name || 'defaultEnmap');
+    const columns = Enmap.#checkBackup(source, table);
+    const enmap = new Enmap<V, SV>(enmapOptions);
+    try {
+      enmap.#restore(source, table, columns);
+      if (migrations)
+        enmap.#migrate(migrations, options.dryRunMigrations ?? false);
+    } catch (e) {
+      enmap.close();
+      throw e;
+    }
+    return enmap;
+  }
+
+  /**
+   * Lists the enmaps stored in a database file, including the ones not created in this process.
+   * @param {string} [dataDir] Defaults to `./data`. The folder of the database, like the `dataDir` option.
+   * @param {string} [file] Defaults to `enmap.sqlite`. The database file, like the `file` option.
+   * @example
+   * for (const { name, rows, bytes } of Enmap.list()) {
+   *   console.log(`${name}: ${rows} keys, ${bytes} bytes`);
+   * }
+   * @returns {Array<Object>} The `name` of every enmap, its number of `rows` including expired keys,
+   * and the `bytes` used by its table and indexes in the file.
+   */
+  static list(dataDir = 'data', file = 'enmap.sqlite'): EnmapTableInfo[] {
+    const path = resolve(process.cwd(), dataDir, file);
+    if (!existsSync(path)) return [];
+    const shared = connections.get(path)?.db;
+    const db = shared?.open
+      ? shared
+      : new Database(path, { readonly: true, fileMustExist: true });
+    try {
+      const tables = db
+        .prepare(
+          "SELECT name FROM sqlite_master WHERE type = 'table' ORDER BY name",
+        )
+        .pluck()
+        .all() as string[];
+      // Internal tables, change feeds and staging tables all have "::" in their name.
+      return tables
+        .filter((name) => NAME_REGEX.test(name) && !/^sqlite_/i.test(name))
+        .map((name) => ({
+          name,
+          rows: db
+            .prepare(`SELECT count(*) FROM ${quote(name)}`)
+            .pluck()
+            .get() as number,
+          bytes:
+            (db
+              .prepare(
+                'SELECT sum(pgsize) FROM dbstat WHERE name IN (SELECT name FROM sqlite_master WHERE tbl_name = ?)',
+              )
+              .pluck()
+              .get(name) as number | null) ?? 0,
+        }));
+    } finally {
+      if (db !== shared) db.close();
+    }
+  }
+
+  /**
+   * Initialize multiple Enmaps easily.
+   * @param {Array<string>} names Array of strings. Each array entry will create a separate enmap with that name.
+   * @param {Object} options Options object to pass to each enmap, excluding the name..
+   * @example
+   * // Using local variables.
+   * import Enmap from 'enmap';
+   * const { settings, tags, blacklist } = Enmap.multi(['settings', 'tags', 'blacklist']);
+   *
+   * // Attaching to an existing object (for instance some API's client)
+   * import Enmap from 'enmap';
    * Object.assign(client, Enmap.multi(["settings", "tags", "blacklist"]));
    *
    * @returns {Object} An array of initialized Enmaps.
@@ -773,6 +2417,21 @@ export default class Enmap<V = any, SV = unknown> {
     return enmaps;
   }
 
+  /**
+   * Creates an enmap running on a worker thread, so that its SQLite work doesn't block the event loop.
+   * It has the same methods as a regular enmap, but they all return promises. See {@link AsyncEnmap} for its limitations.
+   * @param {Object} options Options for the enmap, except `serializer`, `deserializer`, `schema` and `migrations`.
+   * @example
+   * import Enmap from 'enmap';
+   * const enmap = Enmap.async({ name: 'logs' });
+   * await enmap.set('first', { level: 'info' });
+   * const errors = await enmap.filter((log) => log.level === 'error');
+   * @returns {AsyncEnmap} The enmap.
+   */
+  static async<V = unknown>(options: AsyncEnmapOptions<V>): AsyncEnmap<V> {
+    return new AsyncEnmap<V>(options);
+  }
+
   /**
    * Obtains random value(s) from this Enmap. This relies on {@link Enmap#array}.
    * @param {number} [count] Number of values to obtain randomly
@@ -780,11 +2439,11 @@ export default class Enmap<V = any, SV = unknown> {
    * or an array of values of `count` length
    */
   random(count = 1): [string, V][] {
-    const stmt = this.#db
-      .prepare(`SELECT key, value FROM ${this.#name} ORDER BY RANDOM() LIMIT ?`)
-      .bind(count);
+    const stmt = this.#prepare(
+      `SELECT key, value FROM ${this.#table} WHERE ${LIVE_ROWS} ORDER BY RANDOM() LIMIT ?`,
+    );
     const results: [string, V][] = [];
-    for (const row of stmt.iterate() as IterableIterator<{
+    for (const row of stmt.iterate(Date.now(), count) as IterableIterator<{
       key: string;
       value: string;
     }>) {
@@ -800,11 +2459,13 @@ export default class Enmap<V = any, SV = unknown> {
    * or an array of keys of `count` length
    */
   randomKey(count = 1): string[] {
-    const stmt = this.#db
-      .prepare(`SELECT key FROM ${this.#name} ORDER BY RANDOM() LIMIT ?`)
-      .bind(count);
+    const stmt = this.#prepare(
+      `SELECT key FROM ${this.#table} WHERE ${LIVE_ROWS} ORDER BY RANDOM() LIMIT ?`,
+    );
     const results: string[] = [];
-    for (const row of stmt.iterate() as IterableIterator<{ key: string }>) {
+    for (const row of stmt.iterate(Date.now(), count) as IterableIterator<{
+      key: string;
+    }>) {
       results.push(row.key);
     }
     return results;
@@ -823,11 +2484,7 @@ export default class Enmap<V = any, SV = unknown> {
     valueOrFunction: ((val: V, key: string) => boolean) | any,
     path?: Path<V>,
   ): boolean {
-    const stmt = this.#db.prepare(`SELECT key, value FROM ${this.#name}`);
-    for (const row of stmt.iterate() as IterableIterator<{
-      key: string;
-      value: string;
-    }>) {
+    for (const row of this.#rows()) {
       const parsed = this.#parse(row.value, row.key);
       const data = isNil(path) ? parsed : _get(parsed, path);
       if (isFunction(valueOrFunction)) {
@@ -856,11 +2513,7 @@ export default class Enmap<V = any, SV = unknown> {
     valueOrFunction: ((val: V, key: string) => boolean) | any,
     path?: Path<V>,
   ): boolean {
-    const stmt = this.#db.prepare(`SELECT key, value FROM ${this.#name}`);
-    for (const row of stmt.iterate() as IterableIterator<{
-      key: string;
-      value: string;
-    }>) {
+    for (const row of this.#rows()) {
       const parsed = this.#parse(row.value, row.key);
       const data = isNil(path) ? parsed : _get(parsed, path);
       if (isFunction(valueOrFunction)) {
@@ -885,11 +2538,7 @@ export default class Enmap<V = any, SV = unknown> {
    */
   map<R>(pathOrFn: ((val: V, key: string) => R) | string): R[] {
     const results: R[] = [];
-    const stmt = this.#db.prepare(`SELECT key, value FROM ${this.#name}`);
-    for (const row of stmt.iterate() as IterableIterator<{
-      key: string;
-      value: string;
-    }>) {
+    for (const row of this.#rows()) {
       const parsed = this.#parse(row.value, row.key);
       if (isFunction(pathOrFn)) {
         results.push((pathOrFn as (val: V, key: string) => R)(parsed, row.key));
@@ -916,11 +2565,7 @@ export default class Enmap<V = any, SV = unknown> {
     pathOrFn: ((val: V, key: string) => boolean) | string,
     value?: any,
   ): V | null {
-    const stmt = this.#db.prepare(`SELECT key, value FROM ${this.#name}`);
-    for (const row of stmt.iterate() as IterableIterator<{
-      key: string;
-      value: string;
-    }>) {
+    for (const row of this.#candidates(pathOrFn, value)) {
       const parsed = this.#parse(row.value, row.key);
       const func = isFunction(pathOrFn)
         ? (pathOrFn as (val: V, key: string) => boolean)
@@ -948,11 +2593,7 @@ export default class Enmap<V = any, SV = unknown> {
     pathOrFn: ((val: V, key: string) => boolean) | string,
     value?: any,
   ): string | null {
-    const stmt = this.#db.prepare(`SELECT key, value FROM ${this.#name}`);
-    for (const row of stmt.iterate() as IterableIterator<{
-      key: string;
-      value: string;
-    }>) {
+    for (const row of this.#candidates(pathOrFn, value)) {
       const parsed = this.#parse(row.value, row.key);
       const func = isFunction(pathOrFn)
         ? (pathOrFn as (val: V, key: string) => boolean)
@@ -976,11 +2617,7 @@ export default class Enmap<V = any, SV = unknown> {
     initialValue: R,
   ): R {
     let accumulator = initialValue;
-    const stmt = this.#db.prepare(`SELECT key, value FROM ${this.#name}`);
-    for (const row of stmt.iterate() as IterableIterator<{
-      key: string;
-      value: string;
-    }>) {
+    for (const row of this.#rows()) {
       const parsed = this.#parse(row.value, row.key);
       accumulator = predicate(accumulator, parsed, row.key);
     }
@@ -1002,11 +2639,7 @@ export default class Enmap<V = any, SV = unknown> {
     value?: any,
   ): V[] {
     const results: V[] = [];
-    const stmt = this.#db.prepare(`SELECT key, value FROM ${this.#name}`);
-    for (const row of stmt.iterate() as IterableIterator<{
-      key: string;
-      value: string;
-    }>) {
+    for (const row of this.#candidates(pathOrFn, value)) {
       const parsed = this.#parse(row.value, row.key);
       if (isFunction(pathOrFn)) {
         if ((pathOrFn as (val: V, key: string) => boolean)(parsed, row.key)) {
@@ -1037,40 +2670,181 @@ export default class Enmap<V = any, SV = unknown> {
     pathOrFn: ((val: V, key: string) => boolean) | string,
     value?: any,
   ): number {
-    const stmt = this.#db.prepare(`SELECT key, value FROM ${this.#name}`);
-    const deleteStmt = this.#db.prepare(
-      `DELETE FROM ${this.#name} WHERE key = ?`,
-    );
-    const deleteKeys: string[] = [];
+    const deleted: [string, V][] = [];
     const deleteMany = this.#db.transaction((keys: string[]) => {
-      for (const key of keys) deleteStmt.run(key);
+      for (const key of keys) this.#delete(key);
     });
     let count = 0;
-    for (const row of stmt.iterate() as IterableIterator<{
-      key: string;
-      value: string;
-    }>) {
+    for (const row of this.#candidates(pathOrFn, value)) {
       const parsed = this.#parse(row.value, row.key);
       if (isFunction(pathOrFn)) {
         if ((pathOrFn as (val: V, key: string) => boolean)(parsed, row.key)) {
           count++;
-          deleteKeys.push(row.key);
+          deleted.push([row.key, parsed]);
         }
       } else {
         const data = _get(parsed, pathOrFn as string);
         if (value === data) {
           count++;
-          deleteKeys.push(row.key);
+          deleted.push([row.key, parsed]);
         }
       }
     }
-    deleteMany(deleteKeys);
+    deleteMany(deleted.map(([key]) => key));
+    for (const [key, oldValue] of deleted) {
+      this.#emit('delete', {
+        key,
+        oldValue,
+        newValue: undefined,
+        operation: 'sweep',
+      });
+    }
     return count;
   }
 
+  /**
+   * Sets a property in every object value of the enmap, in a single transaction. Other values are left as they are.
+   * @param {string} path Required. The path of the property to set, such as "settings.prefix".
+   * @param {*} value Required. The value to set.
+   * @example
+   * guilds.setAll("settings.prefix", "!");
+   * @returns {number} The number of values changed.
+   */
+  setAll<P extends Path<V>>(path: P, value: PathValue<V, P>): number;
+  setAll(path: string, value: unknown): number {
+    return this.#updateAll('setAll', (data) => {
+      if (_has(data, path) && isEqual(_get(data, path), value)) return false;
+      _set(data, path, cloneDeep(value));
+      return true;
+    });
+  }
+
+  /**
+   * Removes a property from every object value of the enmap, in a single transaction.
+   * @param {string} path Required. The path of the property to remove.
+   * @example
+   * users.unsetAll("legacyField");
+   * @returns {number} The number of values changed.
+   */
+  unsetAll(path: Path<V>): number {
+    return this.#updateAll(
+      'unsetAll',
+      (data) => _has(data, path) && _unset(data, path),
+    );
+  }
+
+  /**
+   * Renames a property in every object value of the enmap, in a single transaction. Values without the property are left as they are.
+   * If any value already has a property at `to`, nothing is renamed and an `EnmapArgumentError` is thrown.
+   * @param {string} from Required. The path of the property to rename.
+   * @param {string} to Required. The new path of the property.
+   * @example
+   * users.renamePathAll("xp", "stats.experience");
+   * @returns {number} The number of values changed.
+   */
+  renamePathAll(from: Path<V>, to: string): number {
+    return this.#updateAll('renamePathAll', (data, key) => {
+      if (!_has(data, from)) return false;
+      this.#renameProp(key, data, from, to);
+      return true;
+    });
+  }
+
+  /**
+   * Adds the properties of a default object to every object value of the enmap that lacks them, in a single transaction.
+   * Arrays and other values are left as they are. Properties are merged
+   * the same way ensure() does with the `ensureProps` option. Existing properties are kept.
+   * @param {Object} defaults Required. The default object.
+   * @example
+   * // A new setting was added to the defaults
+   * guilds.ensureAll(defaultSettings);
+   * @returns {number} The number of values changed.
+   */
+  ensureAll(defaults: Partial<V>): number {
+    if (!isObject(defaults))
+      throw new Err(
+        `The defaults for the enmap "${this.#name}" must be an object`,
+        'EnmapArgumentError',
+      );
+    return this.#updateAll('ensureAll', (data) => {
+      const merged = merge(cloneDeep(defaults), data);
+      return !isEqual(merged, data) && merged;
+    });
+  }
+
+  /**
+   * Starts a query on the enmap, to filter, sort and paginate entries. Conditions and sorting on properties are
+   * executed by SQLite (using any index created with createIndex()), unless the enmap uses a custom serializer or
+   * deserializer, the path contains array indexes, or the condition is a function. Those are applied in javascript instead.
+   * @example
+   * // Leaderboard, third page
+   * const page = enmap
+   *   .query()
+   *   .where('stats.level', '>', 10)
+   *   .orderBy('stats.xp', 'desc')
+   *   .limit(10)
+   *   .offset(20)
+   *   .entries();
+   * @returns {EnmapQuery} A new query.
+   */
+  query(): EnmapQuery<V> {
+    return new EnmapQuery<V>((plan) => this.#query(plan));
+  }
+
+  /**
+   * Creates an index on a property of the values, stored in the database. Once a path is indexed, find(), findIndex(),
+   * filter() and sweep() called with that path and a string, number, boolean or `null` value only read the matching rows
+   * instead of the whole table. Indexes are persisted, and only need to be created once.
+   * Indexes require the default serializer and deserializer, and the path must only contain property names (no array indexes).
+   * @param {string} path Required. The path to the property to index, with dot notation, such as "profile.guildId".
+   * @example
+   * members.createIndex('profile.guildId');
+   * members.filter('profile.guildId', guild.id); // served from the index
+   * @returns {Enmap} The enmap.
+   */
+  createIndex(path: Path<V>): this {
+    const jsonPath = this.#jsonPath(path);
+    if (!this.#plainValues)
+      throw new Err(
+        `Cannot create an index in the enmap "${this.#name}" because it uses a custom serializer or deserializer.`,
+        'EnmapIndexError',
+      );
+    if (!jsonPath)
+      throw new Err(
+        `Cannot create an index on "${path}": paths must be property names separated by dots.`,
+        'EnmapIndexError',
+      );
+    this.#createIndex(path, jsonPath);
+    this.#indexes.add(path);
+    return this;
+  }
+
+  /**
+   * Deletes an index created by createIndex(). Does nothing if the path isn't indexed.
+   * @param {string} path Required. The indexed path.
+   * @returns {Enmap} The enmap.
+   */
+  dropIndex(path: Path<V>): this {
+    if (!this.#indexes.has(path)) return this;
+    this.#db
+      .prepare(`DROP INDEX IF EXISTS "${this.#name}::index::${path}"`)
+      .run();
+    this.#indexes.delete(path);
+    return this;
+  }
+
+  /**
+   * Lists the paths indexed with createIndex().
+   * @returns {Array<string>} The indexed paths.
+   */
+  listIndexes(): string[] {
+    return [...this.#indexes];
+  }
+
   /**
    * Function called whenever data changes within Enmap after the initial load.
    * Can be used to detect if another part of your code changed a value in enmap and react on it.
+   * Only one callback can be registered this way, calling changed() again replaces it. Use on() to register several listeners.
    * @example
    * enmap.changed((keyName, oldValue, newValue) => {
    *   console.log(`Value of ${keyName} has changed from: \n${oldValue}\nto\n${newValue}`);
@@ -1080,7 +2854,94 @@ export default class Enmap<V = any, SV = unknown> {
   changed(
     cb: (key: string, oldValue: V | undefined, newValue: V | undefined) => void,
   ): void {
-    this.#changedCB = cb;
+    if (this.#changedCB) this.off('change', this.#changedCB);
+    this.#changedCB = ({ key, oldValue, newValue }) => {
+      if (key !== null) cb(key, oldValue, newValue);
+    };
+    this.on('change', this.#changedCB);
+  }
+
+  /**
+   * Registers a listener called after data changes in the enmap. Any number of listeners can be registered for each event.
+   * The listener receives an object with the `key` that changed, its `oldValue` and `newValue` (`undefined` when
+   * the key did not exist or was deleted), and the name of the method that made the change as `operation`.
+   * @param {string} event The event to listen to:
+   * - `set`: a key was written, by set() or any method modifying a value (update, ensure, push, math, etc).
+   * - `delete`: a key was deleted, by delete() or sweep().
+   * - `clear`: the enmap was cleared. `key` is `null`.
+   * - `import`: a key was written by import().
+   * - `change`: any of the above.
+   * @param {Function} listener The function to call.
+   * @example
+   * enmap.on('set', ({ key, oldValue, newValue, operation }) => {
+   *   console.log(`${operation}: ${key} went from ${oldValue} to ${newValue}`);
+   * });
+   * enmap.on('delete', ({ key }) => cache.delete(key));
+   * @returns {Enmap} The enmap.
+   */
+  on(event: EnmapEventName, listener: EnmapListener<V>): this {
+    const listeners = this.#listeners.get(event) ?? [];
+    listeners.push({ listener, once: false });
+    this.#listeners.set(event, listeners);
+    return this;
+  }
+
+  /**
+   * Registers a listener that is only called the next time the event fires. See on() for the available events.
+   * @param {string} event The event to listen to.
+   * @param {Function} listener The function to call.
+   * @returns {Enmap} The enmap.
+   */
+  once(event: EnmapEventName, listener: EnmapListener<V>): this {
+    const listeners = this.#listeners.get(event) ?? [];
+    listeners.push({ listener, once: true });
+    this.#listeners.set(event, listeners);
+    return this;
+  }
+
+  /**
+   * Removes a listener registered with on() or once().
+   * @param {string} event The event the listener was registered for.
+   * @param {Function} listener The function to remove.
+   * @returns {Enmap} The enmap.
+   */
+  off(event: EnmapEventName, listener: EnmapListener<V>): this {
+    const listeners = this.#listeners
+      .get(event)
+      ?.filter((entry) => entry.listener !== listener);
+    if (listeners?.length) this.#listeners.set(event, listeners);
+    else this.#listeners.delete(event);
+    return this;
+  }
+
+  /**
+   * Watches the changes made to this enmap by any process using the same database file, including this one.
+   * Requires the `changeFeed` option. The change log is checked every `pollInterval` milliseconds, and only changes
+   * made after watch() was called are received.
+   * @param {Function} watcher Called for every change, with an object containing the `key`, the `operation` (`set` or `delete`),
+   * the new `value` (`undefined` when deleted), the `seq` number of the change and its `time`.
+   * Errors thrown by a watcher or the deserializer are logged as warnings, and watching stops when the enmap is dropped.
+   * @returns {Function} A function that stops watching.
+   * @example
+   * const stop = enmap.watch(({ key, operation, value }) => {
+   *   console.log(`${key} was ${operation === 'set' ? 'set to' : 'deleted'}`, value);
+   * });
+   */
+  watch(watcher: EnmapWatcher<V>): () => void {
+    if (!this.#feed)
+      throw new Err(
+        `Cannot watch the enmap "${this.#name}" because its changeFeed option is not set.`,
+        'EnmapFeedError',
+      );
+    this.#watchers.add(watcher);
+    this.#startFeed();
+    return () => {
+      this.#watchers.delete(watcher);
+      if (!this.#watchers.size && !this.#cache) {
+        clearInterval(this.#feedTimer);
+        this.#feedTimer = undefined;
+      }
+    };
   }
 
   /**
@@ -1094,11 +2955,7 @@ export default class Enmap<V = any, SV = unknown> {
     value?: any,
   ): [V[], V[]] {
     const results: [V[], V[]] = [[], []];
-    const stmt = this.#db.prepare(`SELECT key, value FROM ${this.#name}`);
-    for (const row of stmt.iterate() as IterableIterator<{
-      key: string;
-      value: string;
-    }>) {
+    for (const row of this.#rows()) {
       const parsed = this.#parse(row.value, row.key);
       if (isFunction(pathOrFn)) {
         if ((pathOrFn as (val: V, key: string) => boolean)(parsed, row.key)) {
@@ -1118,38 +2975,1044 @@ export default class Enmap<V = any, SV = unknown> {
     return results;
   }
 
+  // MARK: Async Methods
+  /**
+   * Same as set(), but waits for the serializer and deserializer, which may be async functions.
+   * Writes made to the key while they run are overwritten.
+   * @param key Required. The location in which the data should be saved.
+   * @param value Required. The value to write.
+   * @param path Optional. The path to the property to modify inside the value object or array.
+   * @param options Optional. `ttl` and `keepTtl`, see set().
+   * @example
+   * const users = new Enmap({
+   *   name: 'users',
+   *   serializer: async (user) => ({ ...user, avatar: await upload(user.avatar) }),
+   * });
+   * await users.setAsync('alice', { name: 'Alice', avatar: buffer });
+   * @returns {Promise<Enmap>} The enmap.
+   */
+  async setAsync(
+    key: string,
+    value: any,
+    path?: Path<V> | null,
+    options: SetOptions = {},
+  ): Promise<this> {
+    await this.#writeAsync(key, value, path, options, 'set');
+    return this;
+  }
+
+  /**
+   * Same as get(), but waits for the deserializer, which may be an async function.
+   * @param key Required. The key you want to get from the enmap.
+   * @param path Optional. The property to retrieve from the object or array.
+   * @example
+   * const user = await users.getAsync('alice');
+   * @returns {Promise<*>} The value for this key, or `null` if it does not exist.
+   */
+  getAsync(key: string): Promise<V | null>;
+  getAsync<P extends Path<V>>(
+    key: string,
+    path: P,
+  ): Promise<PathValue<V, P> | null>;
+  async getAsync<P extends Path<V>>(
+    key: string,
+    path?: P,
+  ): Promise<V | PathValue<V, P> | null> {
+    this.#keycheck(key);
+    return this.#at(key, await this.#readAsync(key, true), path);
+  }
+
+  /**
+   * Same as ensure(), but waits for the serializer and deserializer, which may be async functions.
+   * @param key Required. The key you want to make sure exists.
+   * @param defaultValue Required. The value you want to save in the database and return as default.
+   * @param path Optional. If presents, ensures both the key exists as an object, and the full path exists.
+   * @param options Optional. `ttl` sets the time-to-live of the key if it gets created.
+   * @returns {Promise<*>} The value from the database for the key, or the default value provided for a new key.
+   */
+  ensureAsync(
+    key: string,
+    defaultValue: any,
+    path?: null,
+    options?: Pick<SetOptions, 'ttl'>,
+  ): Promise<V | null>;
+  ensureAsync<P extends Path<V>>(
+    key: string,
+    defaultValue: any,
+    path: P,
+    options?: Pick<SetOptions, 'ttl'>,
+  ): Promise<PathValue<V, P> | null>;
+  async ensureAsync<P extends Path<V>>(
+    key: string,
+    defaultValue: any,
+    path?: P | null,
+    options: Pick<SetOptions, 'ttl'> = {},
+  ): Promise<V | PathValue<V, P> | null> {
+    this.#keycheck(key);
+
+    if (!isNil(this.#autoEnsure)) {
+      if (!isNil(defaultValue))
+        process.emitWarning(
+          `Saving "${key}" autoEnsure value was provided for this enmap but a default value has also been provided. The defaultValue will be ignored, autoEnsure value is used instead.`,
+        );
+      defaultValue = this.#autoEnsure;
+    }
+
+    const clonedDefault = cloneDeep(defaultValue);
+    const current = await this.#readAsync(key);
+
+    if (!isNil(path)) {
+      if (current !== undefined) {
+        const value = this.#at(key, current, path);
+        if (value !== undefined) return value;
+      }
+      const oldValue = this.#snapshot(current);
+      // A missing key starts from the autoEnsure value, like any other write.
+      const data = this.#place(
+        current ?? cloneDeep(this.#autoEnsure),
+        path,
+        clonedDefault,
+      );
+      await this.#commitAsync(
+        key,
+        data,
+        current === undefined ? { ttl: options.ttl } : { keepTtl: true },
+        'ensure',
+        oldValue,
+      );
+      return clonedDefault;
+    }
+
+    if (this.#ensureProps && isObject(current)) {
+      if (!isObject(clonedDefault))
+        throw new Err(
+          `Default value for "${key}" in enmap "${
+            this.#name
+          }" must be an object when merging with an object value.`,
+          'EnmapArgumentError',
+        );
+      const oldValue = this.#snapshot(current);
+      const merged = merge(clonedDefault, current);
+      await this.#commitAsync(
+        key,
+        merged,
+        { keepTtl: true },
+        'ensure',
+        oldValue,
+      );
+      return merged;
+    }
+
+    if (current !== undefined) return current;
+    await this.#commitAsync(
+      key,
+      clonedDefault,
+      { ttl: options.ttl },
+      'ensure',
+      undefined,
+    );
+    return clonedDefault;
+  }
+
+  /**
+   * Same as update(), but waits for the serializer and deserializer, which may be async functions.
+   * The function given to update the value may also be async. Writes made to the key while they run are overwritten.
+   * @param key Required. The key of the element to update.
+   * @param valueOrFunction Required. Either an object to merge with the existing value, or a function that returns the new value.
+   * @example
+   * await users.updateAsync('alice', async (user) => ({ ...user, avatar: await fetchAvatar(user) }));
+   * @returns {Promise<*>} The modified (merged) value.
+   */
+  async updateAsync(
+    key: string,
+    valueOrFunction: Partial<V> | ((data: V) => V | Promise<V>),
+  ): Promise<V> {
+    this.#keycheck(key);
+    const data = (await this.#readAsync(key)) as V;
+    this.#check(key, data, ['Object']);
+    const fn = isFunction(valueOrFunction)
+      ? (valueOrFunction as (data: V) => V | Promise<V>)
+      : (currentData: V) => merge(currentData, valueOrFunction);
+    const oldValue = this.#snapshot(data);
+    const merged = await fn(data);
+    await this.#setAsync(key, merged, { keepTtl: true });
+    this.#emit('set', { key, oldValue, newValue: merged, operation: 'update' });
+    return merged;
+  }
+
   // MARK: Internal Methods
-  #set(key: string, value: V): void {
-    let serialized: string;
+
+  // The database connection, for everything but close(), which fails once the enmap is closed.
+  get #db(): Database.Database {
+    if (this.#closed)
+      throw new Err(
+        `The enmap "${this.#name}" is closed`,
+        'EnmapDBConnectionError',
+      );
+    return this.#database;
+  }
+  // Writes a value (or a path inside it) and notifies listeners, on behalf of the public method named by `operation`.
+  #write(
+    key: string,
+    value: any,
+    path: Path<V> | null | undefined,
+    options: SetOptions,
+    operation: EnmapOperation,
+  ): void {
+    this.#keycheck(key);
+    const current = this.#read(key, true);
+    const oldValue = this.#snapshot(current);
+    this.#commit(
+      key,
+      this.#place(current, path, value),
+      { ttl: options.ttl, keepTtl: options.keepTtl ?? !isNil(path) },
+      operation,
+      oldValue,
+    );
+  }
+
+  // Saves a value that was already read and modified, and notifies listeners.
+  #commit(
+    key: string,
+    data: V,
+    options: StoreOptions,
+    operation: EnmapOperation,
+    oldValue: V | undefined,
+  ): void {
+    this.#set(key, data, options);
+    this.#emit('set', { key, oldValue, newValue: data, operation });
+  }
+
+  async #commitAsync(
+    key: string,
+    data: V,
+    options: SetOptions,
+    operation: EnmapOperation,
+    oldValue: V | undefined,
+  ): Promise<void> {
+    await this.#setAsync(key, data, options);
+    this.#emit('set', { key, oldValue, newValue: data, operation });
+  }
+
+  async #writeAsync(
+    key: string,
+    value: any,
+    path: Path<V> | null | undefined,
+    options: SetOptions,
+    operation: EnmapOperation,
+  ): Promise<void> {
+    this.#keycheck(key);
+    const current = await this.#readAsync(key, true);
+    const oldValue = this.#snapshot(current);
+    const data = this.#place(current, path, value);
+    await this.#setAsync(key, data, {
+      ttl: options.ttl,
+      keepTtl: options.keepTtl ?? !isNil(path),
+    });
+    this.#emit('set', { key, oldValue, newValue: data, operation });
+  }
+
+  // Reads and parses a value, once per operation. `undefined` means the key does not exist.
+  #read(key: string, autoEnsure = false): V | undefined {
+    const cached = this.#cache?.get(key);
+    if (cached !== undefined) return cached;
+    let row = this.#row(key);
+    if (!row && autoEnsure && !isNil(this.#autoEnsure)) {
+      this.#set(key, this.#autoEnsure);
+      row = this.#row(key);
+    }
+    if (!row) return undefined;
+    const data = this.#parse(row.value, key);
+    this.#remember(key, data, row);
+    return data;
+  }
+
+  async #readAsync(key: string, autoEnsure = false): Promise<V | undefined> {
+    const cached = this.#cache?.get(key);
+    if (cached !== undefined) return cached;
+    let row = this.#row(key);
+    if (!row && autoEnsure && !isNil(this.#autoEnsure)) {
+      await this.#setAsync(key, this.#autoEnsure);
+      row = this.#row(key);
+    }
+    if (!row) return undefined;
+    const data = await this.#parseAsync(row.value, key);
+    // The key might have been written while deserializing.
+    if (this.#row(key)?.value === row.value) this.#remember(key, data, row);
+    return data;
+  }
+
+  // Caches a value that was just read. Values read in a transaction might be rolled back, so they are not cached.
+  #remember(
+    key: string,
+    data: V,
+    row: { value: string; expires: number | null },
+  ): void {
+    if (this.#cache && !this.#db.inTransaction)
+      this.#cache.set(
+        key,
+        cloneDeep(data),
+        Buffer.byteLength(row.value),
+        row.expires,
+      );
+  }
+
+  // What get() returns for a value that was already read.
+  #at(key: string, data: V | undefined, path?: Path<V> | null): any {
+    if (isNil(data)) return null;
+    if (path) {
+      this.#check(key, data, ['Object']);
+      return _get(data, path);
+    }
+    return data;
+  }
+
+  // Writes a value at a path inside the current value, or replaces it entirely without a path.
+  #place(
+    current: V | undefined,
+    path: Path<V> | null | undefined,
+    value: any,
+  ): V {
+    if (isNil(path)) return value;
+    const data = isNil(current) ? ({} as V) : current;
+    _set(data as object, path, value);
+    return data;
+  }
+
+  // Copies a value before it gets modified, only if someone is listening for changes.
+  #snapshot(value: V | undefined): V | undefined {
+    if (!this.#listeners.size) return undefined;
+    return cloneDeep(value) ?? undefined;
+  }
+
+  #emit(
+    event: Exclude<EnmapEventName, 'change'>,
+    change: EnmapChangeEvent<V>,
+  ): void {
+    const pending = pendingEvents.get(this.#db);
+    if (pending) {
+      pending.push(() => this.#emit(event, change));
+      return;
+    }
+    for (const name of [event, 'change'] as const) {
+      const listeners = this.#listeners.get(name);
+      if (!listeners) continue;
+      for (const entry of listeners) {
+        if (entry.once) this.off(name, entry.listener);
+        entry.listener(change);
+      }
+    }
+  }
+
+  // Reads a value without autoEnsure, only if someone is listening for changes.
+  #peek(key: string): V | undefined {
+    if (!this.#listeners.size) return undefined;
+    const row = this.#row(key);
+    return row ? this.#parse(row.value, key) : undefined;
+  }
+
+  #set(key: string, value: V, options: StoreOptions = {}): void {
+    this.#validate(key, value);
+    if (!this.#store(key, this.#serialize(key, value), options))
+      this.#conflict(key, options.expectedVersion!);
+  }
+
+  // Runs the serializer option, then better-serialize, on a value about to be written.
+  #serialize(key: string, value: V): string {
     try {
-      serialized = stringify(this.#serializer(value, key));
+      return stringify(this.#sync(this.#serializer(value, key), 'serializer'));
     } catch (e) {
+      if (e instanceof Err) throw e;
       // If serialization fails, try to get the underlying value from onChange proxy
       const targetValue =
         onChange.target && typeof onChange.target === 'function'
           ? (onChange.target(value as Record<string, unknown>) as V)
           : value;
-      serialized = stringify(this.#serializer(targetValue, key));
+      return stringify(
+        this.#sync(this.#serializer(targetValue, key), 'serializer'),
+      );
+    }
+  }
+
+  async #setAsync(
+    key: string,
+    value: V,
+    options: SetOptions = {},
+  ): Promise<void> {
+    this.#validate(key, value);
+    this.#store(key, stringify(await this.#serializer(value, key)), options);
+  }
+
+  // Writes an already serialized value, returning false if the row isn't at the expected version.
+  #store(key: string, serialized: string, options: StoreOptions): boolean {
+    this.#cache?.evict(key);
+    // Reads leave expired rows for purge(), a write replaces them as if they didn't exist.
+    this.#prepare(
+      `DELETE FROM ${this.#table} WHERE key = ? AND expires <= ?`,
+    ).run(key, Date.now());
+    const ttl = options.ttl ?? this.#ttl;
+    const expires = isNil(ttl) ? null : Date.now() + ttl;
+    // Keeping the expiry only applies to existing rows, new ones still get the default.
+    const keepTtl = options.keepTtl && isNil(options.ttl);
+    if (!isNil(options.expectedVersion)) {
+      const values = keepTtl ? [serialized] : [serialized, expires];
+      return (
+        this.#prepare(
+          `UPDATE ${this.#table} SET value = ?, version = version + 1${keepTtl ? '' : ', expires = ?'} WHERE key = ? AND version = ?`,
+        ).run(...values, key, options.expectedVersion).changes > 0
+      );
     }
+    const onConflict = keepTtl
+      ? 'value = excluded.value, version = version + 1'
+      : 'value = excluded.value, expires = excluded.expires, version = version + 1';
+    this.#prepare(
+      `INSERT INTO ${this.#table} (key, value, expires) VALUES (?, ?, ?) ON CONFLICT(key) DO UPDATE SET ${onConflict}`,
+    ).run(key, serialized, expires);
+    return true;
+  }
+
+  // Throws if a key isn't at the version an update expects.
+  #conflict(key: string, expectedVersion: number): void {
+    const version =
+      (this.#prepare(`SELECT version FROM ${this.#table} WHERE key = ?`)
+        .pluck()
+        .get(key) as number | undefined) ?? null;
+    if (version === expectedVersion) return;
+    throw new Err(
+      `Cannot update the key "${key}" in the enmap "${this.#name}": expected version ${expectedVersion}, but it is at version ${version ?? 'none (deleted)'}`,
+      'EnmapConflictError',
+    );
+  }
+
+  // Fetches a single row, treating it as absent if it has expired. It is left for purge(), a read can't write while the enmap is being iterated.
+  #row(
+    key: string,
+  ): { value: string; expires: number | null; version: number } | undefined {
+    const row = this.#prepare(
+      `SELECT value, expires, version FROM ${this.#table} WHERE key = ?`,
+    ).get(key) as
+      | { value: string; expires: number | null; version: number }
+      | undefined;
+    if (row && !isNil(row.expires) && row.expires <= Date.now())
+      return undefined;
+    return row;
+  }
+
+  // Deletes a single row, returning whether it existed.
+  #delete(key: string): boolean {
+    this.#cache?.evict(key);
+    return (
+      this.#prepare(`DELETE FROM ${this.#table} WHERE key = ?`).run(key)
+        .changes > 0
+    );
+  }
+
+  // Iterates the live rows for a list of keys, in a single query.
+  #many(columns: string, keys: string[]): IterableIterator<unknown> {
+    for (const key of keys) this.#keycheck(key);
+    return this.#prepare(
+      `SELECT ${columns} FROM ${this.#table} WHERE key IN (SELECT value FROM json_each(?)) AND ${LIVE_ROWS}`,
+    ).iterate(JSON.stringify(keys), Date.now());
+  }
+
+  // Prepares a statement once per enmap, and reuses it afterwards.
+  #prepare(sql: string): Database.Statement {
+    let stmt = this.#statements.get(sql);
+    if (!stmt) {
+      stmt = this.#db.prepare(sql);
+      this.#statements.set(sql, stmt);
+    }
+    return stmt;
+  }
+
+  // Reads live rows in insertion order, one batch at a time, so no statement stays open between batches.
+  *#batches(
+    columns: 'key' | 'key, value' | 'key, value, expires',
+  ): IterableIterator<
+    { key: string; value?: string; expires?: number | null }[]
+  > {
+    const stmt = this.#prepare(
+      `SELECT rowid, ${columns} FROM ${this.#table} WHERE rowid > ? AND ${LIVE_ROWS} ORDER BY rowid LIMIT ?`,
+    );
+    let last = 0;
+    while (true) {
+      const rows = stmt.all(last, Date.now(), ITERATION_BATCH) as {
+        rowid: number;
+        key: string;
+        value?: string;
+      }[];
+      if (rows.length) yield rows;
+      if (rows.length < ITERATION_BATCH) return;
+      last = rows[rows.length - 1].rowid;
+    }
+  }
+
+  #rows(): IterableIterator<{ key: string; value: string }> {
+    return this.#prepare(
+      `SELECT key, value FROM ${this.#table} WHERE ${LIVE_ROWS}`,
+    ).iterate(Date.now()) as IterableIterator<{ key: string; value: string }>;
+  }
+
+  #query(plan: QueryPlan<V>): [string, V][] {
+    const clauses = [LIVE_ROWS];
+    const params: unknown[] = [Date.now()];
+    const filters: QueryCondition<V>[] = [];
+    for (const condition of plan.where) {
+      const clause = this.#queryClause(condition, params);
+      if (clause) clauses.push(clause);
+      else filters.push(condition);
+    }
+
+    const orders = plan.orderBy.map(({ path, direction }) => {
+      const jsonPath = this.#queryPath(path);
+      return jsonPath
+        ? `json_extract(value, '${jsonPath}.v') ${direction.toUpperCase()}`
+        : null;
+    });
+    const sorted = orders.every((order) => order !== null);
+    // Paginating in SQL is only possible when it filters and sorts everything itself.
+    const paged = sorted && !filters.length;
+    const offset = plan.offset ?? 0;
+    const end = isNil(plan.limit) ? Infinity : offset + plan.limit;
+
+    let sql = `SELECT key, value FROM ${this.#table} WHERE ${clauses.join(' AND ')}`;
+    if (sorted && orders.length) sql += ` ORDER BY ${orders.join(', ')}`;
+    if (paged) {
+      sql += ' LIMIT ? OFFSET ?';
+      params.push(plan.limit ?? -1, offset);
+    }
+
+    const results: [string, V][] = [];
+    for (const row of this.#prepare(sql).iterate(
+      ...params,
+    ) as IterableIterator<{ key: string; value: string }>) {
+      const parsed = this.#parse(row.value, row.key);
+      if (!filters.every((filter) => matches(filter, row.key, parsed)))
+        continue;
+      results.push([row.key, parsed]);
+      if (sorted && !paged && results.length >= end) break;
+    }
+
+    if (!sorted) {
+      results.sort(([, a], [, b]) => {
+        for (const { path, direction } of plan.orderBy) {
+          const order = compare(
+            isNil(path) ? a : _get(a, path),
+            isNil(path) ? b : _get(b, path),
+          );
+          if (order) return direction === 'asc' ? order : -order;
+        }
+        return 0;
+      });
+    }
+    return paged ? results : results.slice(offset, end);
+  }
+
+  // The SQL version of a query condition, or null if it has to run in javascript.
+  #queryClause(condition: QueryCondition<V>, params: unknown[]): string | null {
+    if ('predicate' in condition) return null;
+    const jsonPath = this.#queryPath(condition.path);
+    if (!jsonPath) return null;
+    const type = `json_extract(value, '${jsonPath}.t')`;
+    const data = `json_extract(value, '${jsonPath}.v')`;
+    const { operator, value } = condition;
+
+    if (operator === '=' || operator === '!=' || operator === 'in') {
+      const operands = operator === 'in' ? (value as unknown[]) : [value];
+      const stored = operands.map((operand) => this.#jsonValue(operand));
+      if (stored.some((operand) => !operand)) return null;
+      if (!stored.length) return '0';
+      for (const operand of stored) params.push(operand!.type, operand!.value);
+      const clause = stored
+        .map(() => `(${type} IS ? AND ${data} IS ?)`)
+        .join(' OR ');
+      return operator === '!=' ? `NOT ${clause}` : `(${clause})`;
+    }
+
+    if (typeof value !== 'string' && typeof value !== 'number') return null;
+    const stored = this.#jsonValue(value);
+    if (!stored) return null;
+    params.push(stored.type, stored.value);
+    return `(${type} = ? AND ${data} ${operator} ?)`;
+  }
+
+  // Where a query path lives in stored values, or null if SQLite can't read it.
+  #queryPath(path: string | null): string | null {
+    if (!this.#plainValues) return null;
+    return isNil(path) ? '$' : this.#jsonPath(path);
+  }
+
+  // All live rows, or only the ones an index says can match `path === value`.
+  #candidates(
+    pathOrFn: unknown,
+    value: unknown,
+  ): IterableIterator<{ key: string; value: string }> {
+    if (typeof pathOrFn !== 'string' || !this.#indexes.has(pathOrFn))
+      return this.#rows();
+    const stored = this.#jsonValue(value);
+    if (!stored) return this.#rows();
+    const jsonPath = this.#jsonPath(pathOrFn);
+    return this.#prepare(
+      `SELECT key, value FROM ${this.#table} WHERE json_extract(value, '${jsonPath}.v') IS ? AND json_extract(value, '${jsonPath}.t') = ? AND ${LIVE_ROWS}`,
+    ).iterate(stored.value, stored.type, Date.now()) as IterableIterator<{
+      key: string;
+      value: string;
+    }>;
+  }
+
+  // Where a path lives in a stored (better-serialize) value, every level being wrapped in { t: type, v: value }.
+  #jsonPath(path: string): string | null {
+    const segments = path.split('.');
+    if (!segments.every((segment) => JSON_PATH_SEGMENT.test(segment)))
+      return null;
+    return `$${segments.map((segment) => `.v."${segment}"`).join('')}`;
+  }
+
+  // How a primitive is stored by better-serialize, as SQLite sees it. Other values can't be matched in SQL.
+  #jsonValue(
+    value: unknown,
+  ): { type: number; value: string | number | null } | null {
+    if (typeof value === 'string') return { type: 1, value };
+    if (typeof value === 'number' && Number.isFinite(value))
+      return { type: 2, value };
+    if (typeof value === 'boolean') return { type: 3, value: value ? 1 : 0 };
+    if (value === null) return { type: 5, value: null };
+    return null;
+  }
+
+  // Creates or upgrades the table of the enmap and starts its timers, once the database is open.
+  #setup(options: EnmapOptions<V, SV>): void {
+    // Check if enmap by this name is in the sqlite master table
+    const table = this.#db
+      .prepare(
+        "SELECT count(*) FROM sqlite_master WHERE type='table' AND name = ?;",
+      )
+      .get(this.#name) as { 'count(*)': number };
+
+    // This is a first init, create everything!
+    if (!table['count(*)']) {
+      // Create base table
+      this.#db
+        .prepare(
+          `CREATE TABLE ${this.#table} (key text PRIMARY KEY, value text, expires integer, version integer NOT NULL DEFAULT 1)`,
+        )
+        .run();
+
+      // Define table properties : sync and write-ahead-log
+      this.#db.pragma('synchronous = 1');
+      this.#db.pragma('journal_mode = wal');
+
+      // Create autonum table
+      this.#db
+        .prepare(
+          `CREATE TABLE IF NOT EXISTS 'internal::autonum' (enmap TEXT PRIMARY KEY, lastnum INTEGER)`,
+        )
+        .run();
+    } else {
+      // Tables created before expiring keys or versions existed don't have the columns yet.
+      const columns = this.#db
+        .prepare(`PRAGMA table_info(${this.#table})`)
+        .all() as { name: string }[];
+      if (!columns.some((column) => column.name === 'expires')) {
+        this.#db
+          .prepare(`ALTER TABLE ${this.#table} ADD COLUMN expires integer`)
+          .run();
+      }
+      if (!columns.some((column) => column.name === 'version')) {
+        this.#db
+          .prepare(
+            `ALTER TABLE ${this.#table} ADD COLUMN version integer NOT NULL DEFAULT 1`,
+          )
+          .run();
+      }
+    }
+
+    const indexPrefix = `${this.#name}::index::`;
+    const indexes = this.#db
+      .prepare(
+        "SELECT name FROM sqlite_master WHERE type='index' AND tbl_name = ?",
+      )
+      .pluck()
+      .all(this.#name) as string[];
+    for (const index of indexes) {
+      if (index.startsWith(indexPrefix))
+        this.#indexes.add(index.slice(indexPrefix.length));
+    }
+
+    if (this.#feed) {
+      this.#createFeed();
+      this.#pruneFeed();
+    }
+
+    // Stores the version of the last migration applied to each enmap.
     this.#db
       .prepare(
-        `INSERT OR REPLACE INTO ${this.#name} (key, value) VALUES (?, ?)`,
+        "CREATE TABLE IF NOT EXISTS 'internal::versions' (enmap TEXT PRIMARY KEY, version INTEGER)",
       )
-      .run(key, serialized);
+      .run();
+    if (options.migrations) {
+      this.#migrate(options.migrations, options.dryRunMigrations ?? false);
+    }
+
+    // Keeps the cache up to date with changes from other processes.
+    if (this.#feed && this.#cache) this.#startFeed();
+
+    if (options.purgeInterval) {
+      this.#purgeTimer = setInterval(() => this.purge(), options.purgeInterval);
+      this.#purgeTimer.unref();
+    }
+
+    if (this.#snapshots) {
+      const { interval } = this.#snapshots;
+      // A failed snapshot must not crash the process, the next one may succeed.
+      this.#snapshotTimer = setInterval(() => {
+        this.snapshot().catch((e: Error) =>
+          console.warn(
+            `Snapshot of enmap "${this.#name}" failed: ${e.message}`,
+          ),
+        );
+      }, interval);
+      this.#snapshotTimer.unref();
+    }
   }
 
-  #parse(value: string, key?: string): V {
-    let parsed: SV;
+  // Applies the migrations newer than the stored version to every value, all or nothing.
+  #migrate(migrations: EnmapMigration[], dryRun: boolean): void {
+    let previous = 0;
+    for (const { version, up } of migrations) {
+      if (!Number.isInteger(version) || version <= previous)
+        throw new Err(
+          'Migration versions must be positive integers in increasing order',
+          'EnmapArgumentError',
+        );
+      if (!isFunction(up))
+        throw new Err(
+          `Migration ${version} must have an up() function`,
+          'EnmapArgumentError',
+        );
+      previous = version;
+    }
+    const current = this.schemaVersion;
+    const pending = migrations.filter(({ version }) => version > current);
+    if (!pending.length) return;
+
+    const rollback = Symbol('rollback');
     try {
-      parsed = parse(value) as SV;
+      this.#db.transaction(() => {
+        for (const { version, up } of pending) {
+          for (const rows of this.#batches('key, value')) {
+            for (const { key, value } of rows) {
+              try {
+                const data = this.#parse(value!, key);
+                const migrated = up(data, key);
+                this.#set(
+                  key,
+                  (migrated === undefined ? data : migrated) as V,
+                  {
+                    keepTtl: true,
+                  },
+                );
+              } catch (e) {
+                throw new Err(
+                  `Migration ${version} failed for key "${key}" in enmap "${this.#name}": ${(e as Error).message}`,
+                  'EnmapMigrationError',
+                );
+              }
+            }
+          }
+        }
+        this.#db
+          .prepare(
+            "INSERT OR REPLACE INTO 'internal::versions' (enmap, version) VALUES (?, ?)",
+          )
+          .run(this.#name, previous);
+        if (dryRun) throw rollback;
+      })();
+    } catch (e) {
+      if (e !== rollback) throw e;
+    }
+  }
+
+  #createIndex(path: string, jsonPath: string, name = this.#name): void {
+    this.#db
+      .prepare(
+        `CREATE INDEX IF NOT EXISTS "${name}::index::${path}" ON ${quote(name)} (json_extract(value, '${jsonPath}.v'))`,
+      )
+      .run();
+  }
+
+  // Logs every change to the enmap table with triggers, so they can be seen by other connections.
+  #createFeed(name = this.#name): void {
+    const log = `"${name}::changes"`;
+    const table = quote(name);
+    // Milliseconds since the epoch, like Date.now().
+    const now = "CAST((julianday('now') - 2440587.5) * 86400000 AS INTEGER)";
+    this.#db.exec(`
+      CREATE TABLE IF NOT EXISTS ${log} (seq INTEGER PRIMARY KEY AUTOINCREMENT, key TEXT, operation TEXT, value TEXT, time INTEGER);
+      CREATE TRIGGER IF NOT EXISTS "${name}::changes::insert" AFTER INSERT ON ${table} BEGIN
+        INSERT INTO ${log} (key, operation, value, time) VALUES (new.key, 'set', new.value, ${now});
+      END;
+      CREATE TRIGGER IF NOT EXISTS "${name}::changes::update" AFTER UPDATE OF value ON ${table} BEGIN
+        INSERT INTO ${log} (key, operation, value, time) VALUES (new.key, 'set', new.value, ${now});
+      END;
+      CREATE TRIGGER IF NOT EXISTS "${name}::changes::delete" AFTER DELETE ON ${table} BEGIN
+        INSERT INTO ${log} (key, operation, value, time) VALUES (old.key, 'delete', NULL, ${now});
+      END;
+    `);
+  }
+
+  #startFeed(): void {
+    if (this.#feedTimer) return;
+    this.#feedSeq =
+      (this.#prepare(`SELECT max(seq) FROM "${this.#name}::changes"`)
+        .pluck()
+        .get() as number | null) ?? 0;
+    this.#feedTimer = setInterval(
+      () => this.#pollFeed().catch((e: Error) => this.#feedFailed(e)),
+      this.#feed!.pollInterval,
+    );
+    this.#feedTimer.unref();
+  }
+
+  // Reads the changes logged since the last poll, evicting them from the cache and passing them to the watchers.
+  async #pollFeed(): Promise<void> {
+    // An asynchronous deserializer can outlast the interval, the next poll must not read the same changes again.
+    if (this.#feedPolling) return;
+    this.#feedPolling = true;
+    try {
+      const rows = this.#prepare(
+        `SELECT seq, key, operation, value, time FROM "${this.#name}::changes" WHERE seq > ? ORDER BY seq`,
+      ).all(this.#feedSeq) as {
+        seq: number;
+        key: string;
+        operation: 'set' | 'delete';
+        value: string | null;
+        time: number;
+      }[];
+      for (const { seq, key, operation, value, time } of rows) {
+        this.#feedSeq = seq;
+        this.#cache?.evict(key);
+        if (!this.#watchers.size) continue;
+        let data = isNil(value) ? undefined : this.#deserialize(value, key);
+        // Only an asynchronous deserializer is waited for, the watchers of other enmaps are called within the poll.
+        if (isPromiseLike(data)) data = await data;
+        const event = { seq, key, operation, value: data, time };
+        for (const watcher of this.#watchers) {
+          try {
+            watcher(event);
+          } catch (e: unknown) {
+            console.warn(
+              `A watcher of enmap "${this.#name}" failed on change ${seq}: ${(e as Error).message}`,
+            );
+          }
+        }
+      }
+      this.#pruneFeed();
+    } finally {
+      this.#feedPolling = false;
+    }
+  }
+
+  // A failed poll must not crash the process. The feed stops if its table was dropped, by this or another process.
+  #feedFailed(e: Error): void {
+    if (this.#closed || !this.#database.open) return;
+    const feed = this.#db
+      .prepare(
+        "SELECT count(*) FROM sqlite_master WHERE type='table' AND name = ?",
+      )
+      .pluck()
+      .get(`${this.#name}::changes`);
+    if (!feed) {
+      clearInterval(this.#feedTimer);
+      this.#feedTimer = undefined;
+      return;
+    }
+    console.warn(`Change feed of enmap "${this.#name}" failed: ${e.message}`);
+  }
+
+  #pruneFeed(): void {
+    this.#prepare(`DELETE FROM "${this.#name}::changes" WHERE time < ?`).run(
+      Date.now() - this.#feed!.retention,
+    );
+  }
+
+  // Writes an imported entry, validating it and notifying listeners.
+  // Raw values are written as they were stored, deserialized ones go through this enmap's serializer.
+  #importEntry(entry: ImportEntry, overwrite: boolean): void {
+    const { key, expires } = entry;
+    if (!overwrite && this.has(key)) return;
+    const oldValue = this.#peek(key);
+    let newValue: V | undefined;
+    let serialized: string;
+    if ('data' in entry) {
+      newValue = entry.data as V;
+      this.#validate(key, newValue);
+      serialized = this.#serialize(key, newValue);
+    } else {
+      serialized = entry.value;
+      if (this.#schema || this.#listeners.size)
+        newValue = this.#parse(serialized, key);
+      this.#validate(key, newValue as V);
+    }
+    this.#cache?.evict(key);
+    this.#prepare(
+      `INSERT INTO ${this.#table} (key, value, expires) VALUES (?, ?, ?) ON CONFLICT(key) DO UPDATE SET value = excluded.value, expires = excluded.expires, version = version + 1`,
+    ).run(key, serialized, expires);
+    if (this.#listeners.size)
+      this.#emit('import', {
+        key,
+        oldValue,
+        newValue,
+        operation: 'import',
+      });
+  }
+
+  // Builds an export entry from a stored row.
+  #exportEntry(
+    key: string,
+    value: string,
+    expires: number | null,
+    values: ExportValues,
+  ): ExportEntry {
+    return encodeEntry(
+      key,
+      expires,
+      values === 'raw' ? { raw: value } : { data: this.#parse(value, key) },
+    );
+  }
+
+  // Throws if a backup file can't be restored: it must be an SQLite database containing the enmap's table.
+  // Returns the columns of that table, which depend on the version of Enmap that wrote it.
+  static #checkBackup(source: string, table: string): string[] {
+    if (!existsSync(source))
+      throw new Err(
+        `The backup "${source}" does not exist`,
+        'EnmapImportError',
+      );
+    let columns: string[];
+    try {
+      const db = new Database(source, { readonly: true, fileMustExist: true });
       try {
-        return this.#deserializer(parsed, key || '');
-      } catch (e: unknown) {
+        columns = db
+          .prepare('SELECT name FROM pragma_table_info(?)')
+          .pluck()
+          .all(table) as string[];
+      } finally {
+        db.close();
+      }
+    } catch {
+      throw new Err(
+        `The backup "${source}" is not an SQLite database`,
+        'EnmapImportError',
+      );
+    }
+    if (!columns.includes('key') || !columns.includes('value'))
+      throw new Err(
+        `The backup "${source}" does not contain the enmap "${table}"`,
+        'EnmapImportError',
+      );
+    return columns;
+  }
+
+  // Replaces the data of this enmap with the table of another database file.
+  #restore(source: string, table: string, columns: string[]): void {
+    const alias = `restore${restoreCount++}`;
+    this.#db.prepare('ATTACH DATABASE ? AS ?').run(source, alias);
+    try {
+      const expires = columns.includes('expires') ? 'expires' : 'NULL';
+      const internal = (name: string) =>
+        this.#db
+          .prepare(
+            `SELECT count(*) FROM ${alias}.sqlite_master WHERE type = 'table' AND name = ?`,
+          )
+          .pluck()
+          .get(name) as number;
+      this.transaction(() => {
+        this.#db.prepare(`DELETE FROM ${this.#table}`).run();
+        this.#db
+          .prepare(
+            `INSERT INTO ${this.#table} (key, value, expires) SELECT key, value, ${expires} FROM ${alias}.${quote(table)}`,
+          )
+          .run();
+        for (const [name, column] of [
+          ['internal::autonum', 'lastnum'],
+          ['internal::versions', 'version'],
+        ]) {
+          this.#db
+            .prepare(`DELETE FROM '${name}' WHERE enmap = ?`)
+            .run(this.#name);
+          if (internal(name))
+            this.#db
+              .prepare(
+                `INSERT INTO '${name}' (enmap, ${column}) SELECT ?, ${column} FROM ${alias}.'${name}' WHERE enmap = ?`,
+              )
+              .run(this.#name, table);
+        }
+      });
+      this.#cache?.clear();
+    } finally {
+      this.#detach(alias);
+    }
+  }
+
+  #detach(alias: string): void {
+    const attached = this.#db
+      .prepare('SELECT count(*) FROM pragma_database_list WHERE name = ?')
+      .pluck()
+      .get(alias) as number;
+    if (attached) this.#db.prepare('DETACH DATABASE ?').run(alias);
+  }
+
+  // Runs the schema option on a value about to be written, throwing if it doesn't pass.
+  #validate(key: string, value: V): void {
+    if (!this.#schema) return;
+    let message: string;
+    let path: string | undefined;
+    if (isFunction(this.#schema)) {
+      const result = this.#schema(value, key);
+      if (result !== false && typeof result !== 'string') return;
+      message = result || 'validation failed';
+    } else {
+      const result = this.#schema['~standard'].validate(value);
+      if (result instanceof Promise)
         throw new Err(
-          'Error while deserializing data: ' + (e as Error).message,
-          'EnmapParseError',
+          `The schema of enmap "${this.#name}" is asynchronous, which is not supported`,
+          'EnmapTypeError',
         );
-      }
+      if (!result.issues) return;
+      const [issue] = result.issues;
+      message = issue?.message ?? 'validation failed';
+      path = issue?.path
+        ?.map((segment) =>
+          typeof segment === 'object' ? String(segment.key) : String(segment),
+        )
+        .join('.');
+    }
+    throw new Err(
+      `Invalid value for key "${key}"${path ? ` at path "${path}"` : ''} in enmap "${this.#name}": ${message}`,
+      'EnmapValidationError',
+    );
+  }
+
+  #parse(value: string, key?: string): V {
+    return this.#sync(this.#deserialize(value, key), 'deserializer');
+  }
+
+  async #parseAsync(value: string, key?: string): Promise<V> {
+    const data = this.#deserialize(value, key);
+    try {
+      return await data;
+    } catch (e: unknown) {
+      throw new Err(
+        'Error while deserializing data: ' + (e as Error).message,
+        'EnmapParseError',
+      );
+    }
+  }
+
+  #deserialize(value: string, key?: string): V | Promise<V> {
+    try {
+      return this.#deserializer(parse(value) as SV, key || '');
     } catch (e: unknown) {
       throw new Err(
         'Error while deserializing data: ' + (e as Error).message,
@@ -1158,15 +4021,33 @@ export default class Enmap<V = any, SV = unknown> {
     }
   }
 
+  // Sync methods can't wait for an async serializer or deserializer.
+  #sync<T>(result: T | Promise<T>, fn: 'serializer' | 'deserializer'): T {
+    if (!isPromiseLike(result)) return result;
+    // The result is never used, so a rejection must not go unhandled.
+    result.then(undefined, () => {});
+    throw new Err(
+      `The ${fn} of the enmap "${this.#name}" is asynchronous, use ${
+        fn === 'serializer' ? 'setAsync()' : 'getAsync()'
+      }, ensureAsync() or updateAsync() instead.`,
+      'EnmapTypeError',
+    );
+  }
+
   #keycheck(key: string, type = 'key'): void {
     if (typeof key !== 'string') {
       throw new Error(`Invalid ${type} for enmap - keys must be a string.`);
     }
   }
 
-  #check(key: string, type: string | string[], path?: Path<V>): void {
+  #check(
+    key: string,
+    data: V | undefined,
+    type: string | string[],
+    path?: Path<V> | null,
+  ): void {
     const keyStr = key.toString();
-    if (!this.has(key))
+    if (data === undefined)
       throw new Err(
         `The key "${keyStr}" does not exist in the enmap "${this.#name}"`,
         'EnmapPathError',
@@ -1174,8 +4055,7 @@ export default class Enmap<V = any, SV = unknown> {
     if (!type) return;
     const types = isArray(type) ? type : [type];
     if (!isNil(path)) {
-      this.#check(key, 'Object');
-      const data = this.get(key);
+      this.#check(key, data, 'Object');
       const pathValue = _get(data, path);
       if (isNil(pathValue)) {
         throw new Err(
@@ -1194,7 +4074,7 @@ export default class Enmap<V = any, SV = unknown> {
         );
       }
     } else {
-      const value = this.get(key);
+      const value = data;
       if (value !== null && value !== undefined) {
         const constructorName = value?.constructor?.name || 'Unknown';
         if (!types.includes(constructorName)) {
@@ -1211,6 +4091,217 @@ export default class Enmap<V = any, SV = unknown> {
     }
   }
 
+  // Runs `fn` on every object value and saves those it changes, all or nothing. Other values are skipped.
+  // `fn` modifies the value and returns true, or returns a new value, or false to leave it as it is.
+  #updateAll(
+    operation: EnmapOperation,
+    fn: (data: any, key: string) => boolean | V,
+  ): number {
+    let count = 0;
+    this.transaction(() => {
+      for (const rows of this.#batches('key, value')) {
+        for (const { key, value } of rows) {
+          const data = this.#parse(value!, key);
+          if (!isPlainObject(data)) continue;
+          const oldValue = this.#snapshot(data);
+          const result = fn(data, key);
+          if (result === false) continue;
+          const updated = result === true ? data : result;
+          this.#commit(key, updated, { keepTtl: true }, operation, oldValue);
+          count++;
+        }
+      }
+    });
+    return count;
+  }
+
+  // Reads an object value for pick() and omit(), null if the key does not exist.
+  #object(key: string): V | null {
+    this.#keycheck(key);
+    const data = this.#read(key, true);
+    if (data === undefined) return null;
+    this.#check(key, data, ['Object']);
+    return data;
+  }
+
+  // Moves a property inside an object that was already read, throwing if there is nothing to move or if `to` is taken.
+  #renameProp(key: string, data: object, from: string, to: string): void {
+    if (!_has(data, from))
+      throw new Err(
+        `The property "${from}" in key "${key}" does not exist in the enmap "${this.#name}"`,
+        'EnmapPathError',
+      );
+    if (_has(data, to))
+      throw new Err(
+        `Cannot rename the property "${from}" to "${to}" in key "${key}" because that property already exists`,
+        'EnmapArgumentError',
+      );
+    const value = _get(data, from);
+    _unset(data, from);
+    _set(data, to, value);
+  }
+
+  // Reads the array an array method modifies in place, with a copy of the whole value for listeners.
+  #array(
+    key: string,
+    path: Path<V> | null | undefined,
+  ): { current: V; data: unknown[]; oldValue: V | undefined } {
+    const current = this.#read(key);
+    this.#check(key, current, ['Array', 'Object']);
+    const data = this.#at(key, current, path);
+    if (!isArray(data))
+      throw new Err('Key does not point to an array', 'EnmapPathError');
+    return { current: current as V, data, oldValue: this.#snapshot(current) };
+  }
+
+  #push(
+    key: string,
+    values: V[],
+    path: Path<V> | null | undefined,
+    options: boolean | PushOptions,
+    operation: EnmapOperation,
+  ): this {
+    this.#keycheck(key);
+    const { allowDupes = false, maxLength } =
+      typeof options === 'boolean' ? { allowDupes: options } : options;
+    if (!isNil(maxLength) && !(Number.isInteger(maxLength) && maxLength > 0))
+      throw new Err(
+        'The maxLength must be a positive integer',
+        'EnmapArgumentError',
+      );
+    const { current, data, oldValue } = this.#array(key, path);
+    const length = data.length;
+    for (const value of values)
+      if (allowDupes || !data.includes(value)) data.push(value);
+    if (data.length === length) return this;
+    if (!isNil(maxLength) && data.length > maxLength)
+      data.splice(0, data.length - maxLength);
+    this.#commit(key, current, { keepTtl: true }, operation, oldValue);
+    return this;
+  }
+
+  #take(
+    key: string,
+    path: Path<V> | null | undefined,
+    operation: 'shift' | 'pop',
+  ): V | null {
+    this.#keycheck(key);
+    const { current, data, oldValue } = this.#array(key, path);
+    if (!data.length) return null;
+    const value = (operation === 'shift' ? data.shift() : data.pop()) as V;
+    this.#commit(key, current, { keepTtl: true }, operation, oldValue);
+    return value;
+  }
+
+  #index(index: number, name: string): void {
+    if (!Number.isInteger(index))
+      throw new Err(`The ${name} must be an integer`, 'EnmapTypeError');
+  }
+
+  // Resolves a negative index from the end of an array, throwing if it's outside of it.
+  #bound(key: string, data: unknown[], index: number): number {
+    const resolved = index < 0 ? data.length + index : index;
+    if (resolved < 0 || resolved >= data.length)
+      throw new Err(
+        `The index ${index} is out of bounds of the array at key "${key}" (length ${data.length})`,
+        'EnmapPathError',
+      );
+    return resolved;
+  }
+
+  // Applies a numeric operation to a number stored as a value or property, without losing the operations other processes
+  // run at the same time. Integers are updated by a single SQL statement. SQLite only writes 15 significant digits of other
+  // numbers, so they go through JS instead: read, compute with `fn`, then write only if the row is still at the version read,
+  // and start over otherwise. The JS path throws the usual errors.
+  #numeric(
+    key: string,
+    path: Path<V> | null | undefined,
+    operation: EnmapOperation,
+    fn: (data: number) => number | null,
+    sql?: (x: string) => string,
+    params: Record<string, number> = {},
+  ): number | null {
+    const jsonPath =
+      sql && !this.#schema && Object.values(params).every(Number.isSafeInteger)
+        ? this.#queryPath(path ?? null)
+        : null;
+    if (sql && jsonPath) {
+      const x = `json_extract(value, '${jsonPath}.v')`;
+      const oldValue = this.#peek(key);
+      this.#cache?.evict(key);
+      // Results that aren't safe integers (overflows become reals, modulo 0 is NULL) are left to JS.
+      const row = this.#prepare(
+        `UPDATE ${this.#table} SET value = json_set(value, '${jsonPath}.v', ${sql(x)}), version = version + 1
+        WHERE key = @key AND (expires IS NULL OR expires > @now)
+        AND json_extract(value, '${jsonPath}.t') = 2 AND json_type(value, '${jsonPath}.v') = 'integer'
+        AND ${x} BETWEEN ${-Number.MAX_SAFE_INTEGER} AND ${Number.MAX_SAFE_INTEGER}
+        AND typeof(${sql(x)}) = 'integer'
+        AND ${sql(x)} BETWEEN ${-Number.MAX_SAFE_INTEGER} AND ${Number.MAX_SAFE_INTEGER}
+        RETURNING value, ${x} AS result`,
+      ).get({
+        // Numbers are bound as reals, BigInts as integers.
+        ...mapValues(params, BigInt),
+        key,
+        now: Date.now(),
+      }) as { value: string; result: number } | undefined;
+      if (row) {
+        if (this.#listeners.size)
+          this.#emit('set', {
+            key,
+            oldValue,
+            newValue: this.#parse(row.value, key),
+            operation,
+          });
+        return row.result;
+      }
+    }
+    while (true) {
+      this.#cache?.evict(key);
+      const row = this.#row(key);
+      const current = row ? this.#parse(row.value, key) : undefined;
+      this.#check(key, current, ['Number'], path);
+      const data = this.#at(key, current, path);
+      if (typeof data !== 'number') {
+        throw new Err(
+          `Value at key "${key}" is not a number`,
+          'EnmapTypeError',
+        );
+      }
+      const updatedValue = fn(data);
+      const oldValue = this.#snapshot(current);
+      const newValue = this.#place(current, path, updatedValue);
+      this.#validate(key, newValue);
+      const stored = this.#store(key, this.#serialize(key, newValue), {
+        keepTtl: true,
+        expectedVersion: row!.version,
+      });
+      if (!stored) continue;
+      this.#emit('set', { key, oldValue, newValue, operation });
+      return updatedValue;
+    }
+  }
+
+  // Bounds of infinite values are left out, SQLite has no infinity literal.
+  #clampSql(expression: string, floor: number, ceiling: number): string {
+    let sql = expression;
+    if (Number.isFinite(floor)) sql = `max(${sql}, @floor)`;
+    if (Number.isFinite(ceiling)) sql = `min(${sql}, @ceiling)`;
+    return sql;
+  }
+
+  // Validates the arguments of incBy() and clamp().
+  #bounds(amount: number, floor: number, ceiling: number): void {
+    if (
+      ![amount, floor, ceiling].every((n) => typeof n === 'number' && !isNaN(n))
+    )
+      throw new Err('The amount and bounds must be numbers', 'EnmapTypeError');
+    if (floor > ceiling)
+      throw new Err(
+        `The floor (${floor}) must not be above the ceiling (${ceiling})`,
+        'EnmapArgumentError',
+      );
+  }
+
   #math(base: number, op: MathOps, opand: number): number | null {
     if (base == undefined || op == undefined || opand == undefined)
       throw new Err(
@@ -1245,6 +4336,10 @@ export default class Enmap<V = any, SV = unknown> {
       case 'rand':
       case 'random':
         return Math.floor(Math.random() * Math.floor(opand));
+      case 'min':
+        return Math.min(base, opand);
+      case 'max':
+        return Math.max(base, opand);
     }
     return null;
   }
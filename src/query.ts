@@ -0,0 +1,204 @@
+import { get as _get, isArray, isFunction, isNil } from 'lodash-es';
+
+import Err from './error.js';
+
+export type QueryOperator = '=' | '!=' | '>' | '>=' | '<' | '<=' | 'in';
+
+export type QueryCondition<V> =
+  | { path: string | null; operator: QueryOperator; value: unknown }
+  | { predicate: (val: V, key: string) => boolean };
+
+export interface QueryOrder {
+  path: string | null;
+  direction: 'asc' | 'desc';
+}
+
+export interface QueryPlan<V> {
+  where: QueryCondition<V>[];
+  orderBy: QueryOrder[];
+  limit?: number;
+  offset?: number;
+}
+
+const OPERATORS: QueryOperator[] = ['=', '!=', '>', '>=', '<', '<=', 'in'];
+
+/**
+ * A chainable query on an enmap, created by {@link Enmap#query}. Conditions and ordering are executed by SQLite
+ * whenever possible, and in javascript otherwise. Nothing is read from the database until
+ * keys(), values(), entries() or count() is called.
+ */
+export default class EnmapQuery<V> {
+  #plan: QueryPlan<V> = { where: [], orderBy: [] };
+  #run: (plan: QueryPlan<V>) => [string, V][];
+
+  constructor(run: (plan: QueryPlan<V>) => [string, V][]) {
+    this.#run = run;
+  }
+
+  /**
+   * Only keeps the entries matching a condition. Calling where() several times keeps entries matching all of them.
+   * Comparisons (`>`, `>=`, `<`, `<=`) only match values of the same type as the operand, numbers or strings.
+   * @param {string|Function} pathOrFn The path to the property to test, `null` to test the value itself,
+   * or a function receiving the value and key and returning a boolean.
+   * @param {string} [operator] One of `=`, `!=`, `>`, `>=`, `<`, `<=`, or `in` (the operand is an array of accepted values).
+   * Can be omitted to test for equality.
+   * @param {*} [value] The operand.
+   * @example
+   * enmap.query().where('stats.level', '>', 10);
+   * enmap.query().where('guildId', '1234');
+   * enmap.query().where('role', 'in', ['admin', 'mod']);
+   * enmap.query().where((user) => user.name.startsWith('A'));
+   * @returns {EnmapQuery} The query.
+   */
+  where(predicate: (val: V, key: string) => boolean): this;
+  where(path: string | null, value: unknown): this;
+  where(path: string | null, operator: QueryOperator, value: unknown): this;
+  where(
+    pathOrFn: string | null | ((val: V, key: string) => boolean),
+    ...args: unknown[]
+  ): this {
+    if (isFunction(pathOrFn)) {
+      this.#plan.where.push({ predicate: pathOrFn });
+      return this;
+    }
+    const [operator, value]: [QueryOperator, unknown] =
+      args.length > 1 ? (args as [QueryOperator, unknown]) : ['=', args[0]];
+    if (!OPERATORS.includes(operator))
+      throw new Err(
+        `Unknown query operator "${operator}"`,
+        'EnmapArgumentError',
+      );
+    if (operator === 'in' && !isArray(value))
+      throw new Err(
+        'The "in" operator requires an array of values',
+        'EnmapArgumentError',
+      );
+    this.#plan.where.push({ path: pathOrFn, operator, value });
+    return this;
+  }
+
+  /**
+   * Sorts the entries by a property. Calling orderBy() several times sorts by each property in turn.
+   * Missing values come first in ascending order, then numbers, then strings.
+   * @param {string} path The path to the property to sort by, or `null` to sort by the value itself.
+   * @param {string} [direction] `asc` (the default) or `desc`.
+   * @returns {EnmapQuery} The query.
+   */
+  orderBy(path: string | null, direction: 'asc' | 'desc' = 'asc'): this {
+    if (direction !== 'asc' && direction !== 'desc')
+      throw new Err(
+        `Sort direction must be "asc" or "desc"`,
+        'EnmapArgumentError',
+      );
+    this.#plan.orderBy.push({ path, direction });
+    return this;
+  }
+
+  /**
+   * Returns at most this many entries.
+   * @param {number} count The maximum number of entries.
+   * @returns {EnmapQuery} The query.
+   */
+  limit(count: number): this {
+    this.#plan.limit = this.#count(count, 'limit');
+    return this;
+  }
+
+  /**
+   * Skips this many entries before returning any. Useful for pagination, along with limit().
+   * @param {number} count The number of entries to skip.
+   * @returns {EnmapQuery} The query.
+   */
+  offset(count: number): this {
+    this.#plan.offset = this.#count(count, 'offset');
+    return this;
+  }
+
+  /**
+   * Runs the query.
+   * @returns {Array<string>} The keys of the matching entries.
+   */
+  keys(): string[] {
+    return this.#run(this.#plan).map(([key]) => key);
+  }
+
+  /**
+   * Runs the query.
+   * @returns {Array<*>} The values of the matching entries.
+   */
+  values(): V[] {
+    return this.#run(this.#plan).map(([, value]) => value);
+  }
+
+  /**
+   * Runs the query.
+   * @returns {Array<Array<*,*>>} The matching entries, as `[key, value]` pairs.
+   */
+  entries(): [string, V][] {
+    return this.#run(this.#plan);
+  }
+
+  /**
+   * Runs the query.
+   * @returns {number} The number of matching entries.
+   */
+  count(): number {
+    return this.#run(this.#plan).length;
+  }
+
+  #count(count: number, name: string): number {
+    if (!Number.isInteger(count) || count < 0)
+      throw new Err(
+        `The query ${name} must be a positive integer`,
+        'EnmapArgumentError',
+      );
+    return count;
+  }
+}
+
+// The javascript version of a condition, for the ones SQLite can't run.
+export function matches<V>(
+  condition: QueryCondition<V>,
+  key: string,
+  value: V,
+): boolean {
+  if ('predicate' in condition) return condition.predicate(value, key);
+  const data = isNil(condition.path) ? value : _get(value, condition.path);
+  const operand = condition.value as any;
+  switch (condition.operator) {
+    case '=':
+      return data === operand;
+    case '!=':
+      return data !== operand;
+    case 'in':
+      return (operand as unknown[]).includes(data);
+  }
+  if (typeof data !== typeof operand) return false;
+  if (typeof operand !== 'number' && typeof operand !== 'string') return false;
+  switch (condition.operator) {
+    case '>':
+      return data > operand;
+    case '>=':
+      return data >= operand;
+    case '<':
+      return data < operand;
+    case '<=':
+      return data <= operand;
+  }
+  return false;
+}
+
+// Sorts like SQLite does: missing values, then numbers (and booleans), then strings, then everything else.
+export function compare(a: unknown, b: unknown): number {
+  const rank = (value: unknown) => {
+    if (isNil(value)) return 0;
+    if (typeof value === 'number' || typeof value === 'boolean') return 1;
+    if (typeof value === 'string') return 2;
+    return 3;
+  };
+  const difference = rank(a) - rank(b);
+  if (difference) return difference;
+  if ((a as any) < (b as any)) return -1;
+  if ((a as any) > (b as any)) return 1;
+  return 0;
+}
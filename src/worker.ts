@@ -0,0 +1,73 @@
+import { parentPort, workerData } from 'worker_threads';
+
+import Enmap from './index.js';
+
+// The worker thread of an AsyncEnmap: owns the actual Enmap, and runs the method calls it receives.
+const enmap = new Enmap(workerData);
+const cursors = new Map<number, Iterator<[string, unknown]>>();
+let nextCursor = 0;
+
+function run(method: string, args: unknown[]): unknown {
+  switch (method) {
+    // Iteration happens in batches, so the main thread never receives the whole enmap at once.
+    case 'open': {
+      const cursor = nextCursor++;
+      cursors.set(cursor, enmap.iterEntries());
+      return cursor;
+    }
+    case 'next': {
+      const [cursor, count] = args as [number, number];
+      const iterator = cursors.get(cursor);
+      const entries: [string, unknown][] = [];
+      while (iterator && entries.length < count) {
+        const { value, done } = iterator.next();
+        if (done) break;
+        entries.push(value);
+      }
+      const done = entries.length < count;
+      if (done) cursors.delete(cursor);
+      return { entries, done };
+    }
+    case 'close': {
+      const [cursor] = args as [number];
+      cursors.get(cursor)?.return?.();
+      cursors.delete(cursor);
+      return undefined;
+    }
+    // close() is taken by cursors: the enmap is closed before the worker is terminated.
+    case 'shutdown':
+      enmap.close();
+      return undefined;
+    // update() with a function and an expected version: the function ran on the main thread, only its result is written.
+    case 'replace': {
+      const [key, value, expectedVersion] = args as [string, unknown, number];
+      return enmap.update(key, () => value, { expectedVersion });
+    }
+  }
+  const member = (enmap as any)[method];
+  const result =
+    typeof member === 'function' ? member.apply(enmap, args) : member;
+  // Chainable methods return the enmap itself, which can't be sent back.
+  return result === enmap ? undefined : result;
+}
+
+parentPort!.on(
+  'message',
+  // Some methods, like backup() or exportTo(), return promises.
+  async ({
+    id,
+    method,
+    args,
+  }: {
+    id: number;
+    method: string;
+    args: unknown[];
+  }) => {
+    try {
+      parentPort!.postMessage({ id, result: await run(method, args) });
+    } catch (e) {
+      const { name, message } = e as Error;
+      parentPort!.postMessage({ id, error: { name, message } });
+    }
+  },
+);
@@ -0,0 +1,249 @@
+import { describe, test, expect, afterEach } from 'vitest';
+import { existsSync } from 'fs';
+import { mkdir, rm } from 'fs/promises';
+import Enmap from '../src/index.ts';
+
+describe('AsyncEnmap', () => {
+  const enmaps = [];
+  const create = (options = {}) => {
+    const enmap = Enmap.async({ inMemory: true, ...options });
+    enmaps.push(enmap);
+    return enmap;
+  };
+  const players = async () => {
+    const enmap = create();
+    await enmap.setMany({
+      alice: { name: 'Alice', level: 12, items: ['sword'] },
+      bob: { name: 'Bob', level: 8, items: [] },
+      carol: { name: 'Carol', level: 20, items: ['bow', 'arrow'] },
+    });
+    return enmap;
+  };
+
+  afterEach(async () => {
+    await Promise.all(enmaps.splice(0).map((enmap) => enmap.close()));
+  });
+
+  test('should read and write values', async () => {
+    const enmap = create();
+
+    expect(await enmap.set('key', { a: 1 })).toBe(enmap);
+    await enmap.set('key', 2, 'b');
+    expect(await enmap.get('key')).toEqual({ a: 1, b: 2 });
+    expect(await enmap.get('key', 'b')).toBe(2);
+    expect(await enmap.has('key')).toBe(true);
+    expect(await enmap.size).toBe(1);
+    await enmap.delete('key');
+    expect(await enmap.get('key')).toBeNull();
+  });
+
+  test('should keep complex values', async () => {
+    const enmap = create();
+    const value = {
+      date: new Date(0),
+      map: new Map([['a', 1]]),
+      set: new Set([1]),
+      big: 1n,
+    };
+    await enmap.set('key', value);
+
+    expect(await enmap.get('key')).toEqual(value);
+  });
+
+  test('should run array and math methods', async () => {
+    const enmap = await players();
+    await enmap.push('alice', 'shield', 'items');
+    await enmap.remove('carol', 'bow', 'items');
+    await enmap.inc('bob', 'level');
+    await enmap.math('alice', '*', 2, 'level');
+
+    expect(await enmap.get('alice')).toMatchObject({
+      level: 24,
+      items: ['sword', 'shield'],
+    });
+    expect(await enmap.get('carol', 'items')).toEqual(['arrow']);
+    expect(await enmap.get('bob', 'level')).toBe(9);
+    expect(await enmap.includes('alice', 'shield', 'items')).toBe(true);
+    expect(await enmap.incBy('bob', -20, { path: 'level', floor: 0 })).toBe(0);
+    expect(await enmap.clamp('carol', 0, 15, 'level')).toBe(15);
+    await enmap.pushMany('bob', ['axe', 'axe', 'bow'], 'items', {
+      allowDupes: true,
+      maxLength: 2,
+    });
+    expect(
+      await enmap.removeAll('bob', (item) => item === 'axe', 'items'),
+    ).toBe(1);
+    expect(await enmap.pop('bob', 'items')).toBe('bow');
+    await expect(enmap.removeAll('bob', () => true, 'name')).rejects.toThrow(
+      expect.objectContaining({ name: 'EnmapPathError' }),
+    );
+  });
+
+  test('should run functions on the main thread', async () => {
+    const enmap = await players();
+    const minimum = 10;
+
+    expect(
+      (await enmap.filter((user) => user.level > minimum)).map((u) => u.name),
+    ).toEqual(['Alice', 'Carol']);
+    expect(await enmap.findIndex((user) => user.level < minimum)).toBe('bob');
+    expect(await enmap.find('name', 'Carol')).toMatchObject({ level: 20 });
+    expect(await enmap.map((user) => user.name)).toEqual([
+      'Alice',
+      'Bob',
+      'Carol',
+    ]);
+    expect(await enmap.reduce((sum, user) => sum + user.level, 0)).toBe(40);
+    expect(await enmap.some((user) => user.level > 15)).toBe(true);
+    expect(await enmap.every((user) => user.level > 15)).toBe(false);
+    expect(await enmap.sweep((user) => user.level < minimum)).toBe(1);
+    expect(await enmap.keys()).toEqual(['alice', 'carol']);
+  });
+
+  test('should update paths of every value', async () => {
+    const enmap = await players();
+
+    expect(await enmap.setAll('guild', null)).toBe(3);
+    expect(await enmap.renamePathAll('level', 'stats.level')).toBe(3);
+    expect(await enmap.unsetAll('items')).toBe(3);
+    expect(await enmap.ensureAll({ stats: { xp: 0 } })).toBe(3);
+    expect(await enmap.get('bob')).toEqual({
+      name: 'Bob',
+      guild: null,
+      stats: { level: 8, xp: 0 },
+    });
+  });
+
+  test('should update with a function', async () => {
+    const enmap = await players();
+    await enmap.update('bob', (user) => ({ ...user, level: 1 }));
+    await enmap.remove('carol', (item) => item.startsWith('a'), 'items');
+
+    expect(await enmap.get('bob', 'level')).toBe(1);
+    await enmap.mergeAt('bob', { items: ['axe'] }, null, { arrays: 'concat' });
+    await enmap.renameProp('bob', 'level', 'rank');
+    await enmap.unset('bob', 'name');
+    expect(await enmap.pick('bob', ['rank'])).toEqual({ rank: 1 });
+    expect(await enmap.omit('bob', ['rank'])).toEqual({ items: ['axe'] });
+    expect(await enmap.get('carol', 'items')).toEqual(['bow']);
+    await expect(enmap.update('dave', (user) => user)).rejects.toThrow(
+      expect.objectContaining({
+        name: 'EnmapPathError',
+        message: 'The key "dave" does not exist in the enmap "MemoryEnmap"',
+      }),
+    );
+  });
+
+  test('should write conditionally', async () => {
+    const enmap = await players();
+
+    expect(await enmap.setIfAbsent('alice', {})).toBe(false);
+    expect(await enmap.setIfAbsent('dave', { name: 'Dave' })).toBe(true);
+    expect(
+      await enmap.compareAndSet('dave', { name: 'Dave' }, { name: 'David' }),
+    ).toBe(true);
+    expect(await enmap.version('dave')).toBe(2);
+    await expect(
+      enmap.update('dave', (user) => ({ ...user, level: 1 }), {
+        expectedVersion: 1,
+      }),
+    ).rejects.toThrow(expect.objectContaining({ name: 'EnmapConflictError' }));
+    expect(
+      await enmap.update('dave', (user) => ({ ...user, level: 1 }), {
+        expectedVersion: 2,
+      }),
+    ).toEqual({ name: 'David', level: 1 });
+    expect(
+      await enmap.update(
+        'dave',
+        (user) => {
+          user.level = 2;
+          return user;
+        },
+        { expectedVersion: 3 },
+      ),
+    ).toEqual({ name: 'David', level: 2 });
+    expect(await enmap.version('dave')).toBe(4);
+  });
+
+  test('should iterate in batches', async () => {
+    const enmap = create();
+    await enmap.setMany(Array.from({ length: 1200 }, (_, i) => [`key${i}`, i]));
+    let count = 0;
+    for await (const [key, value] of enmap) {
+      expect(key).toBe(`key${value}`);
+      count++;
+    }
+
+    expect(count).toBe(1200);
+    expect(await enmap.find((value) => value === 10)).toBe(10);
+    expect(await enmap.size).toBe(1200);
+  });
+
+  test('should reject with enmap errors', async () => {
+    const enmap = create();
+    await enmap.set('string', 'value');
+
+    await expect(enmap.push('string', 1)).rejects.toThrow(
+      expect.objectContaining({ name: 'EnmapTypeError' }),
+    );
+  });
+
+  test('should reject after closing', async () => {
+    const enmap = create();
+    await enmap.close();
+
+    await expect(enmap.get('key')).rejects.toThrow(
+      expect.objectContaining({ name: 'EnmapDBConnectionError' }),
+    );
+  });
+
+  test('should close the enmap in the worker', async () => {
+    const dataDir = './tmp/asyncclose';
+    await mkdir(dataDir, { recursive: true });
+    const enmap = Enmap.async({ name: 'closed', dataDir });
+    const pending = enmap.set('key', 'value');
+    await enmap.close();
+
+    await expect(pending).resolves.toBe(enmap);
+    // Closing the last connection checkpoints the WAL and removes it.
+    expect(existsSync(`${dataDir}/enmap.sqlite-wal`)).toBe(false);
+    const reopened = new Enmap({ name: 'closed', dataDir });
+    expect(reopened.get('key')).toBe('value');
+    reopened.close();
+    await enmap.close();
+    await rm(dataDir, { recursive: true });
+  });
+
+  test('should manage the database file', async () => {
+    const dataDir = './tmp/asyncfile';
+    await mkdir(dataDir, { recursive: true });
+    const enmap = create({ name: 'asyncfile', dataDir, inMemory: false });
+    await enmap.set('key', 'value');
+
+    expect(await enmap.exportTo(`${dataDir}/export.ndjson`)).toBe(1);
+    await enmap.clear();
+    expect(await enmap.importFrom(`${dataDir}/export.ndjson`)).toBe(1);
+    await enmap.backup(`${dataDir}/backup.sqlite`);
+    expect(existsSync(`${dataDir}/backup.sqlite`)).toBe(true);
+    expect(await enmap.vacuum()).toBeGreaterThanOrEqual(0);
+    expect(await enmap.optimize()).toBe(enmap);
+    expect(await enmap.rename('asyncrenamed')).toBe(enmap);
+    expect(await enmap.get('key')).toBe('value');
+    expect(enmap.isOpen).toBe(true);
+    await enmap.drop();
+
+    expect(enmap.isOpen).toBe(false);
+    expect(Enmap.list(dataDir)).toEqual([]);
+    await rm(dataDir, { recursive: true });
+  });
+
+  test('should fail with function options', () => {
+    expect(() => Enmap.async({ inMemory: true, serializer: (v) => v })).toThrow(
+      expect.objectContaining({
+        name: 'EnmapArgumentError',
+        message: 'The serializer option is not supported by AsyncEnmap',
+      }),
+    );
+  });
+});
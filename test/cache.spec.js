@@ -0,0 +1,213 @@
+import { describe, test, expect, vi, afterEach } from 'vitest';
+import { stringify } from 'better-serialize';
+import Enmap from '../src/index.ts';
+import EnmapCache from '../src/cache.ts';
+import CustomError from '../src/error.ts';
+
+describe('EnmapCache', () => {
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  test('should evict the least recently used entries', () => {
+    const cache = new EnmapCache({ maxEntries: 2 });
+    cache.set('a', 1, 1, null);
+    cache.set('b', 2, 1, null);
+    cache.get('a');
+    cache.set('c', 3, 1, null);
+
+    expect(cache.get('a')).toBe(1);
+    expect(cache.get('b')).toBeUndefined();
+    expect(cache.get('c')).toBe(3);
+    expect(cache.stats).toEqual({
+      hits: 3,
+      misses: 1,
+      evictions: 1,
+      entries: 2,
+      bytes: 2,
+    });
+  });
+
+  test('should limit the total size', () => {
+    const cache = new EnmapCache({ maxBytes: 10 });
+    cache.set('a', 'a', 4, null);
+    cache.set('b', 'b', 4, null);
+    cache.set('c', 'c', 4, null);
+    cache.set('huge', 'huge', 11, null);
+
+    expect(cache.size).toBe(2);
+    expect(cache.stats.bytes).toBe(8);
+    expect(cache.get('a')).toBeUndefined();
+    expect(cache.get('huge')).toBeUndefined();
+  });
+
+  test('should return copies', () => {
+    const cache = new EnmapCache();
+    cache.set('a', { list: [1] }, 1, null);
+    cache.get('a').list.push(2);
+
+    expect(cache.get('a')).toEqual({ list: [1] });
+  });
+
+  test('should expire entries', () => {
+    vi.useFakeTimers();
+    const cache = new EnmapCache();
+    cache.set('a', 1, 1, Date.now() + 100);
+    vi.advanceTimersByTime(100);
+
+    expect(cache.get('a')).toBeUndefined();
+    expect(cache.size).toBe(0);
+  });
+
+  test('should evict, clear and reset statistics', () => {
+    const cache = new EnmapCache();
+    cache.set('a', 1, 1, null);
+    cache.set('b', 2, 1, null);
+    cache.get('a');
+
+    expect(cache.evict('a')).toBe(true);
+    expect(cache.evict('a')).toBe(false);
+    cache.clear();
+    expect(cache.stats).toEqual({
+      hits: 1,
+      misses: 0,
+      evictions: 0,
+      entries: 0,
+      bytes: 0,
+    });
+    cache.resetStats();
+    expect(cache.stats.hits).toBe(0);
+  });
+
+  test('should fail with invalid limits', () => {
+    expect(() => new EnmapCache({ maxEntries: 0 })).toThrow(
+      new CustomError(
+        'The cache maxEntries must be a positive integer',
+        'EnmapArgumentError',
+      ),
+    );
+    expect(() => new EnmapCache({ maxBytes: 1.5 })).toThrow(
+      new CustomError(
+        'The cache maxBytes must be a positive integer',
+        'EnmapArgumentError',
+      ),
+    );
+  });
+
+  describe('in an enmap', () => {
+    const settings = (cache = true) => {
+      const deserializer = vi.fn((value) => value);
+      const enmap = new Enmap({ inMemory: true, cache, deserializer });
+      enmap.set('guild', { prefix: '!', roles: ['admin'] });
+      return { enmap, deserializer };
+    };
+
+    test('should be disabled by default', () => {
+      expect(new Enmap({ inMemory: true }).cache).toBeNull();
+    });
+
+    test('should serve repeated reads from memory', () => {
+      const { enmap, deserializer } = settings();
+      enmap.cache.resetStats();
+      enmap.get('guild');
+      enmap.get('guild');
+      enmap.get('guild', 'prefix');
+
+      expect(deserializer).toHaveBeenCalledTimes(1);
+      expect(enmap.cache.stats).toMatchObject({ hits: 2, misses: 1 });
+    });
+
+    test('should not be modified through returned values', () => {
+      const { enmap } = settings();
+      enmap.get('guild').roles.push('mod');
+      enmap.get('guild').prefix = '?';
+
+      expect(enmap.get('guild')).toEqual({ prefix: '!', roles: ['admin'] });
+    });
+
+    test('should stay coherent with writes', () => {
+      const { enmap } = settings();
+      const read = () => enmap.get('guild');
+
+      read();
+      enmap.set('guild', '?', 'prefix');
+      expect(read().prefix).toBe('?');
+      enmap.push('guild', 'mod', 'roles');
+      expect(read().roles).toEqual(['admin', 'mod']);
+      enmap.update('guild', { prefix: '.' });
+      expect(read().prefix).toBe('.');
+      enmap.remove('guild', 'mod', 'roles');
+      expect(read().roles).toEqual(['admin']);
+      enmap.delete('guild', 'prefix');
+      expect(read().prefix).toBeUndefined();
+      enmap.observe('guild').prefix = '$';
+      expect(read().prefix).toBe('$');
+      enmap.setMany({ guild: { prefix: '-' } });
+      expect(read()).toEqual({ prefix: '-' });
+      enmap.delete('guild');
+      expect(read()).toBeNull();
+      enmap.set('guild', 1);
+      read();
+      enmap.inc('guild');
+      expect(read()).toBe(2);
+      enmap.deleteMany(['guild']);
+      expect(read()).toBeNull();
+      enmap.set('guild', 1);
+      read();
+      enmap.sweep((value) => value === 1);
+      expect(read()).toBeNull();
+      enmap.set('guild', 1);
+      read();
+      enmap.clear();
+      expect(read()).toBeNull();
+    });
+
+    test('should stay coherent with imports', () => {
+      const data = JSON.stringify({
+        name: 'MemoryEnmap',
+        exportDate: Date.now(),
+        version: '1.0.0',
+        keys: [{ key: 'guild', value: stringify({ prefix: '?' }) }],
+      });
+      const { enmap } = settings();
+      enmap.get('guild');
+      enmap.import(data);
+
+      expect(enmap.get('guild')).toEqual({ prefix: '?' });
+    });
+
+    test('should not cache values read in a rolled back transaction', () => {
+      const { enmap } = settings();
+
+      expect(() =>
+        enmap.transaction(() => {
+          enmap.set('guild', '?', 'prefix');
+          enmap.get('guild');
+          throw new Error('rollback');
+        }),
+      ).toThrow('rollback');
+      expect(enmap.get('guild').prefix).toBe('!');
+    });
+
+    test('should respect expiry', () => {
+      vi.useFakeTimers();
+      const { enmap } = settings();
+      enmap.set('cooldown', true, null, { ttl: 100 });
+      enmap.get('cooldown');
+      vi.advanceTimersByTime(100);
+
+      expect(enmap.get('cooldown')).toBeNull();
+    });
+
+    test('should be invalidated explicitly', () => {
+      const { enmap, deserializer } = settings({ maxEntries: 10 });
+      enmap.get('guild');
+      enmap.cache.evict('guild');
+      enmap.get('guild');
+      enmap.cache.clear();
+      enmap.get('guild');
+
+      expect(deserializer).toHaveBeenCalledTimes(3);
+    });
+  });
+});
@@ -0,0 +1,109 @@
+import { describe, test, expect } from 'vitest';
+import { stringify } from 'better-serialize';
+import {
+  checkHeader,
+  createHeader,
+  decodeEntry,
+  decodeExport,
+  encodeEntry,
+} from '../src/codec.ts';
+import CustomError from '../src/error.ts';
+
+describe('codec', () => {
+  test('should create headers', () => {
+    expect(createHeader('users', '6.1.0', 'raw', 2)).toEqual({
+      format: 'enmap',
+      formatVersion: 1,
+      name: 'users',
+      version: '6.1.0',
+      exportDate: expect.any(Number),
+      values: 'raw',
+      total: 2,
+    });
+  });
+
+  test('should round-trip entries', () => {
+    const data = { date: new Date(0), map: new Map([['a', new Set([1n])]]) };
+    const raw = encodeEntry('raw', null, { raw: stringify(data) });
+    const deserialized = encodeEntry('data', 1000, { data });
+
+    expect(raw).toEqual({ key: 'raw', value: stringify(data), expires: null });
+    expect(decodeEntry(JSON.parse(JSON.stringify(raw)))).toEqual(raw);
+    expect(decodeEntry(JSON.parse(JSON.stringify(deserialized)))).toEqual({
+      key: 'data',
+      data,
+      expires: 1000,
+    });
+  });
+
+  test('should write JSON values as plain JSON', () => {
+    const data = { name: 'Alice', items: [1, 'a', true, null], nested: {} };
+
+    expect(encodeEntry('plain', null, { data })).toEqual({
+      key: 'plain',
+      json: data,
+      expires: null,
+    });
+    expect(decodeEntry({ key: 'plain', json: { t: 1, v: 'a' } })).toEqual({
+      key: 'plain',
+      data: { t: 1, v: 'a' },
+      expires: null,
+    });
+    for (const value of [undefined, NaN, [1, undefined], { a: new Date(0) }])
+      expect(encodeEntry('tagged', null, { data: value })).toHaveProperty(
+        'data',
+      );
+  });
+
+  test('should reject invalid entries', () => {
+    expect(decodeEntry(null)).toBeNull();
+    expect(decodeEntry({ value: '1' })).toBeNull();
+    expect(decodeEntry({ key: 'a', value: 1 })).toBeNull();
+    expect(decodeEntry({ key: 'a', value: '1', expires: 1.5 })).toBeNull();
+    expect(decodeEntry({ key: 'a', data: { t: 99, v: 1 } })).toBeNull();
+  });
+
+  test('should check headers', () => {
+    const header = createHeader('users', '6.1.0', 'raw');
+
+    expect(() => checkHeader(header, '6.0.0', 'users')).not.toThrow();
+    expect(() => checkHeader(header, '5.9.0')).toThrow(
+      new CustomError(
+        'The import was exported by Enmap 6.1.0, which is newer than this version (5.9.0)',
+        'EnmapImportError',
+      ),
+    );
+    expect(() => checkHeader(header, '6.0.0', 'guilds')).toThrow(
+      new CustomError(
+        'The import contains the enmap "users" instead of "guilds". Set the sourceName option to import another enmap.',
+        'EnmapImportError',
+      ),
+    );
+    expect(() => checkHeader({}, '6.0.0')).toThrow(
+      new CustomError(
+        'The import does not start with an enmap export header',
+        'EnmapImportError',
+      ),
+    );
+  });
+
+  test('should decode exports', () => {
+    const keys = [{ key: 'a', value: stringify(1) }];
+
+    expect(decodeExport(JSON.stringify({ name: 'users', keys }))).toEqual({
+      header: { name: 'users' },
+      keys,
+    });
+    expect(decodeExport(stringify({ name: 'users', keys }))).toEqual({
+      header: { name: 'users' },
+      keys,
+    });
+    expect(decodeExport('null')).toBeNull();
+    expect(() => decodeExport('{}')).toThrow(
+      new CustomError(
+        'The data provided has no keys to import',
+        'EnmapDataError',
+      ),
+    );
+  });
+});
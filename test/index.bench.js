@@ -0,0 +1,81 @@
+import { bench, describe } from 'vitest';
+import { parse, stringify } from 'better-serialize';
+import Enmap from '../src/index.ts';
+
+// Hot paths, compared with the same work done the way Enmap did it before
+// statements were cached: preparing every statement and parsing the value on
+// every access.
+const enmap = new Enmap({ inMemory: true });
+enmap.set('number', 0);
+enmap.set('object', { count: 0, list: [] });
+
+const uncachedGet = (key) => {
+  const row = enmap.db
+    .prepare('SELECT value FROM MemoryEnmap WHERE key = ?')
+    .get(key);
+  return parse(row.value);
+};
+
+const uncachedSet = (key, value) => {
+  enmap.db
+    .prepare('INSERT OR REPLACE INTO MemoryEnmap (key, value) VALUES (?, ?)')
+    .run(key, stringify(value));
+};
+
+describe('get', () => {
+  bench('get()', () => {
+    enmap.get('object');
+  });
+
+  bench('prepare and parse per call', () => {
+    uncachedGet('object');
+  });
+});
+
+describe('set', () => {
+  bench('set()', () => {
+    enmap.set('number', 1);
+  });
+
+  bench('prepare and parse per call', () => {
+    // set() used to read the previous value before writing.
+    uncachedGet('number');
+    uncachedSet('number', 1);
+  });
+});
+
+describe('inc', () => {
+  bench('inc()', () => {
+    enmap.inc('number');
+  });
+
+  bench('prepare and parse per call', () => {
+    // has() and get() in the type check, get() for the value, get() in set().
+    enmap.db
+      .prepare('SELECT count(*) FROM MemoryEnmap WHERE key = ?')
+      .get('number');
+    uncachedGet('number');
+    const value = uncachedGet('number');
+    uncachedGet('number');
+    uncachedSet('number', value + 1);
+  });
+});
+
+describe('push', () => {
+  bench('push()', () => {
+    enmap.set('list', []);
+    enmap.push('list', 1);
+  });
+
+  bench('prepare and parse per call', () => {
+    uncachedSet('list', []);
+    enmap.db
+      .prepare('SELECT count(*) FROM MemoryEnmap WHERE key = ?')
+      .get('list');
+    uncachedGet('list');
+    const value = uncachedGet('list');
+    uncachedGet('list');
+    value.push(1);
+    uncachedSet('list', value);
+  });
+});
@@ -1,9 +1,49 @@
-import { describe, test, expect, vi } from 'vitest';
-import { parse, stringify } from 'better-serialize';
+import {
+  describe,
+  test,
+  expect,
+  vi,
+  beforeAll,
+  afterEach,
+  afterAll,
+} from 'vitest';
+import { stringify } from 'better-serialize';
+import Database from 'better-sqlite3';
 import Enmap from '../src/index.ts';
-import { mkdir, rm } from 'fs/promises';
+import { mkdir, readdir, rm, writeFile } from 'fs/promises';
+import { existsSync } from 'fs';
+import { basename, resolve } from 'path';
+import { Readable, Writable } from 'stream';
+import { ReadableStream } from 'stream/web';
 import CustomError from '../src/error.ts';
 
+// Opens enmaps in a folder under ./tmp for the tests of a describe block.
+// They are closed after each test, and the folder is deleted after the block.
+const tempEnmaps = (dataDir) => {
+  const opened = [];
+  beforeAll(() => mkdir(dataDir, { recursive: true }));
+  afterEach(() => {
+    for (const enmap of opened.splice(0)) enmap.close();
+  });
+  afterAll(() => rm(dataDir, { recursive: true }).catch(() => {}));
+  // Closes an enmap opened another way, like Enmap.restore(), after the test.
+  const keep = (enmap) => {
+    opened.push(enmap);
+    return enmap;
+  };
+  const open = (name, options = {}) =>
+    keep(new Enmap({ name, dataDir, ...options }));
+  // Two instances of the same enmap. They share a connection, but the cache of the first one
+  // doesn't see the writes of the other, as if they came from another process.
+  const processes = (name) => {
+    const first = open(name, { cache: true });
+    first.clear();
+    const other = open(name);
+    return { first, other };
+  };
+  return { open, keep, processes };
+};
+
 describe('Enmap', () => {
   process.setMaxListeners(100);
 
@@ -33,19 +73,42 @@ describe('Enmap', () => {
       expect(enmap).toBeInstanceOf(Enmap);
     });
 
-    test('should close database on exit', () => {
+    // The listener is registered once, when the module is loaded.
+    const exitListener = async () => {
       let callback;
-      process.on = (event, cb) => {
+      const on = vi.spyOn(process, 'on').mockImplementation((event, cb) => {
         if (event === 'exit') {
           callback = cb;
         }
-      };
+        return process;
+      });
+      vi.resetModules();
+      const { default: FreshEnmap } = await import('../src/index.ts');
+      on.mockRestore();
+      return { FreshEnmap, callback };
+    };
 
-      const enmap = new Enmap({ inMemory: true });
+    test('should close database on exit', async () => {
+      const { FreshEnmap, callback } = await exitListener();
+
+      const enmap = new FreshEnmap({ inMemory: true });
+
+      callback();
+
+      expect(enmap.db.open).toBe(false);
+    });
+
+    test('should close persistent databases on exit', async () => {
+      await mkdir('./tmp').catch(() => {});
+      const { FreshEnmap, callback } = await exitListener();
+
+      const enmap = new FreshEnmap({ name: 'exit', dataDir: './tmp' });
+      const other = new FreshEnmap({ name: 'exitother', dataDir: './tmp' });
 
       callback();
 
       expect(enmap.db.open).toBe(false);
+      expect(other.db.open).toBe(false);
     });
 
     test('should create a persistent Enmap w/ dir', async () => {
@@ -392,6 +455,121 @@ describe('Enmap', () => {
         enmap.dec('pathobj', 'a');
         expect(enmap.get('pathobj')).toEqual({ a: 0 });
       });
+
+      test('should keep the smaller or larger value', () => {
+        enmap.set('bounded', 5);
+
+        expect(enmap.math('bounded', 'min', 3)).toBe(3);
+        expect(enmap.math('bounded', 'max', 10)).toBe(10);
+        expect(enmap.math('bounded', 'min', 20)).toBe(10);
+        expect(enmap.get('bounded')).toBe(10);
+      });
+
+      test('should fall back for results SQLite cannot store', () => {
+        enmap.set('edge', { n: 1 });
+
+        expect(enmap.math('edge', '/', 0, 'n')).toBe(Infinity);
+        expect(enmap.get('edge', 'n')).toBe(Infinity);
+        expect(enmap.math('edge', '-', 1, 'n')).toBe(Infinity);
+        enmap.set('edge', 1.5, 'n');
+        expect(enmap.math('edge', '%', 1, 'n')).toBe(0.5);
+        expect(enmap.math('edge', '%', 0, 'n')).toBeNaN();
+      });
+
+      test('should give the same results as JS', () => {
+        const cases = [
+          [0.1, '+', 0.2, 0.1 + 0.2],
+          [1, '/', 3, 1 / 3],
+          [2, '^', 0.5, 2 ** 0.5],
+          [7, '/', 2, 3.5],
+          [-7, '%', 3, -1],
+          [Number.MAX_SAFE_INTEGER, '+', 1, Number.MAX_SAFE_INTEGER + 1],
+          [2 ** 62, '+', 2 ** 62, 2 ** 63],
+          [2 ** 40, '*', 2 ** 20, 2 ** 60],
+          [1e20, '-', 1, 1e20 - 1],
+          [5, '+', 2 ** 53, 5 + 2 ** 53],
+        ];
+        for (const [base, op, operand, expected] of cases) {
+          enmap.set('exact', { n: base });
+
+          expect(enmap.math('exact', op, operand, 'n')).toBe(expected);
+          expect(enmap.get('exact', 'n')).toBe(expected);
+        }
+        enmap.set('exact', 0.1);
+        enmap.inc('exact');
+        expect(enmap.get('exact')).toBe(1.1);
+        expect(enmap.incBy('exact', 0.2, { ceiling: 2.5 })).toBe(1.1 + 0.2);
+        enmap.set('exact', Number.MAX_SAFE_INTEGER);
+        enmap.inc('exact');
+        expect(enmap.get('exact')).toBe(Number.MAX_SAFE_INTEGER + 1);
+        expect(enmap.clamp('exact', 0, 0.5)).toBe(0.5);
+      });
+
+      test('should fail on values that are not numbers', () => {
+        enmap.set('string', 'value');
+        enmap.set('object', { a: 'value' });
+
+        expect(() => enmap.math('string', '+', 1)).toThrow(
+          expect.objectContaining({ name: 'EnmapTypeError' }),
+        );
+        expect(() => enmap.inc('object', 'a')).toThrow(
+          expect.objectContaining({ name: 'EnmapTypeError' }),
+        );
+        expect(() => enmap.dec('missing')).toThrow(
+          expect.objectContaining({ name: 'EnmapPathError' }),
+        );
+        expect(enmap.get('string')).toBe('value');
+      });
+    });
+
+    describe('incBy', () => {
+      const enmap = new Enmap({ inMemory: true });
+
+      test('should add within bounds', () => {
+        enmap.set('wallet', { coins: 10 });
+
+        expect(enmap.incBy('wallet', 5, { path: 'coins' })).toBe(15);
+        expect(enmap.incBy('wallet', -20, { path: 'coins', floor: 0 })).toBe(0);
+        expect(
+          enmap.incBy('wallet', 200, { path: 'coins', ceiling: 100 }),
+        ).toBe(100);
+        expect(enmap.get('wallet')).toEqual({ coins: 100 });
+        enmap.set('xp', 1);
+        expect(enmap.incBy('xp', 0.5)).toBe(1.5);
+      });
+
+      test('should fail with invalid bounds', () => {
+        enmap.set('xp', 1);
+
+        expect(() => enmap.incBy('xp', '1')).toThrow(
+          new CustomError(
+            'The amount and bounds must be numbers',
+            'EnmapTypeError',
+          ),
+        );
+        expect(() => enmap.incBy('xp', 1, { floor: 10, ceiling: 0 })).toThrow(
+          new CustomError(
+            'The floor (10) must not be above the ceiling (0)',
+            'EnmapArgumentError',
+          ),
+        );
+      });
+    });
+
+    describe('clamp', () => {
+      const enmap = new Enmap({ inMemory: true });
+
+      test('should keep a value between bounds', () => {
+        enmap.set('settings', { volume: 150 });
+
+        expect(enmap.clamp('settings', 0, 100, 'volume')).toBe(100);
+        enmap.set('settings', -5, 'volume');
+        expect(enmap.clamp('settings', 0, 100, 'volume')).toBe(0);
+        expect(enmap.clamp('settings', -10, 100, 'volume')).toBe(0);
+        expect(() => enmap.clamp('settings', 1, 0, 'volume')).toThrow(
+          expect.objectContaining({ name: 'EnmapArgumentError' }),
+        );
+      });
     });
 
     describe('inc', () => {
@@ -559,6 +737,391 @@ describe('Enmap', () => {
       });
     });
 
+    describe('object helpers', () => {
+      const enmap = new Enmap({ inMemory: true });
+      const user = () => ({
+        name: 'Bob',
+        profile: { roles: ['member'], email: 'bob@example.com' },
+        stats: { xp: 5, level: 1 },
+      });
+
+      test('should merge at a path', () => {
+        enmap.set('user', user());
+        enmap.mergeAt('user', { level: 2, rank: 'gold' }, 'stats');
+        enmap.mergeAt('user', { theme: 'dark' }, 'settings.display');
+
+        expect(enmap.get('user', 'stats')).toEqual({
+          xp: 5,
+          level: 2,
+          rank: 'gold',
+        });
+        expect(enmap.get('user', 'settings')).toEqual({
+          display: { theme: 'dark' },
+        });
+        enmap.mergeAt('user', { name: 'Robert' });
+        expect(enmap.get('user', 'name')).toBe('Robert');
+      });
+
+      test('should merge arrays with a strategy', () => {
+        const roles = (arrays, values) => {
+          enmap.set('user', user());
+          enmap.mergeAt('user', { roles: values }, 'profile', { arrays });
+          return enmap.get('user', 'profile.roles');
+        };
+
+        expect(roles(undefined, ['admin'])).toEqual(['admin']);
+        expect(roles('merge', ['admin', 'mod'])).toEqual(['admin', 'mod']);
+        expect(roles('replace', ['admin'])).toEqual(['admin']);
+        expect(roles('concat', ['member', 'admin'])).toEqual([
+          'member',
+          'member',
+          'admin',
+        ]);
+        expect(roles('union', ['member', 'admin'])).toEqual([
+          'member',
+          'admin',
+        ]);
+        enmap.set('list', { items: [{ id: 1 }] });
+        enmap.mergeAt('list', [{ id: 1 }, { id: 2 }], 'items', {
+          arrays: 'union',
+        });
+        expect(enmap.get('list', 'items')).toEqual([{ id: 1 }, { id: 2 }]);
+        expect(() => roles('append', [])).toThrow(
+          new CustomError(
+            'The arrays merge strategy must be "merge", "replace", "concat" or "union"',
+            'EnmapArgumentError',
+          ),
+        );
+      });
+
+      test('should update with a strategy', () => {
+        enmap.set('user', user());
+
+        expect(
+          enmap.update(
+            'user',
+            { profile: { roles: ['admin'] } },
+            { arrays: 'concat' },
+          ).profile.roles,
+        ).toEqual(['member', 'admin']);
+      });
+
+      test('should fail to merge into other values', () => {
+        enmap.set('user', user());
+        enmap.set('string', 'value');
+
+        expect(() => enmap.mergeAt('user', { a: 1 }, 'name')).toThrow(
+          expect.objectContaining({ name: 'EnmapTypeError' }),
+        );
+        expect(() => enmap.mergeAt('string', { a: 1 })).toThrow(
+          expect.objectContaining({ name: 'EnmapTypeError' }),
+        );
+        expect(() => enmap.mergeAt('user', 'value')).toThrow(
+          new CustomError(
+            'The value to merge must be an object or an array',
+            'EnmapTypeError',
+          ),
+        );
+        expect(() => enmap.mergeAt('missing', {})).toThrow(
+          expect.objectContaining({ name: 'EnmapPathError' }),
+        );
+      });
+
+      test('should unset properties', () => {
+        enmap.set('user', user());
+        enmap.unset('user', 'profile.email');
+        enmap.unset('user', 'missing.property');
+
+        expect(enmap.get('user', 'profile')).toEqual({ roles: ['member'] });
+        expect(enmap.get('user', 'profile')).not.toHaveProperty('email');
+        expect(() => enmap.unset('missing', 'name')).toThrow(
+          expect.objectContaining({ name: 'EnmapPathError' }),
+        );
+      });
+
+      test('should rename properties', () => {
+        enmap.set('user', user());
+        enmap.renameProp('user', 'name', 'profile.displayName');
+
+        expect(enmap.get('user')).toEqual({
+          profile: {
+            roles: ['member'],
+            email: 'bob@example.com',
+            displayName: 'Bob',
+          },
+          stats: { xp: 5, level: 1 },
+        });
+        expect(() => enmap.renameProp('user', 'name', 'nickname')).toThrow(
+          new CustomError(
+            'The property "name" in key "user" does not exist in the enmap "MemoryEnmap"',
+            'EnmapPathError',
+          ),
+        );
+        expect(() =>
+          enmap.renameProp('user', 'stats.xp', 'stats.level'),
+        ).toThrow(
+          new CustomError(
+            'Cannot rename the property "stats.xp" to "stats.level" in key "user" because that property already exists',
+            'EnmapArgumentError',
+          ),
+        );
+      });
+
+      test('should pick and omit properties', () => {
+        enmap.set('user', user());
+
+        expect(enmap.pick('user', ['name', 'stats.level'])).toEqual({
+          name: 'Bob',
+          stats: { level: 1 },
+        });
+        expect(enmap.omit('user', ['profile', 'stats.xp'])).toEqual({
+          name: 'Bob',
+          stats: { level: 1 },
+        });
+        expect(enmap.pick('missing', ['name'])).toBeNull();
+        expect(enmap.get('user')).toEqual(user());
+      });
+
+      test('should emit events', () => {
+        const listener = vi.fn();
+        enmap.set('user', user());
+        enmap.on('set', listener);
+        enmap.unset('user', 'stats');
+        enmap.off('set', listener);
+
+        expect(listener).toHaveBeenCalledWith({
+          key: 'user',
+          oldValue: user(),
+          newValue: { name: 'Bob', profile: user().profile },
+          operation: 'unset',
+        });
+      });
+    });
+
+    describe('bulk path operations', () => {
+      const guilds = () => {
+        const enmap = new Enmap({ inMemory: true });
+        enmap.setMany({
+          a: { prefix: '!', xp: 1 },
+          b: { prefix: '?', settings: { lang: 'fr' } },
+          c: ['not', 'an', 'object'],
+          d: 'string',
+        });
+        return enmap;
+      };
+
+      test('should set a property everywhere', () => {
+        const enmap = guilds();
+
+        expect(enmap.setAll('settings.lang', 'fr')).toBe(1);
+        expect(enmap.get('a', 'settings')).toEqual({ lang: 'fr' });
+        expect(enmap.setAll('prefix', '!')).toBe(1);
+        expect(enmap.get('c')).toEqual(['not', 'an', 'object']);
+        expect(enmap.get('d')).toBe('string');
+      });
+
+      test('should unset a property everywhere', () => {
+        const enmap = guilds();
+
+        expect(enmap.unsetAll('prefix')).toBe(2);
+        expect(enmap.unsetAll('prefix')).toBe(0);
+        expect(enmap.get('a')).toEqual({ xp: 1 });
+      });
+
+      test('should rename a property everywhere', () => {
+        const enmap = guilds();
+
+        expect(enmap.renamePathAll('xp', 'stats.xp')).toBe(1);
+        expect(enmap.get('a')).toEqual({ prefix: '!', stats: { xp: 1 } });
+        expect(enmap.get('b')).toEqual({
+          prefix: '?',
+          settings: { lang: 'fr' },
+        });
+      });
+
+      test('should roll back a failed rename', () => {
+        const enmap = guilds();
+        enmap.set('b', 2, 'xp');
+        enmap.set('b', 'en', 'lang');
+
+        expect(() => enmap.renamePathAll('prefix', 'lang')).toThrow(
+          new CustomError(
+            'Cannot rename the property "prefix" to "lang" in key "b" because that property already exists',
+            'EnmapArgumentError',
+          ),
+        );
+        expect(enmap.get('a', 'prefix')).toBe('!');
+      });
+
+      test('should ensure properties everywhere', () => {
+        const enmap = guilds();
+
+        expect(
+          enmap.ensureAll({ prefix: '.', settings: { lang: 'en', tz: 0 } }),
+        ).toBe(2);
+        expect(enmap.get('a')).toEqual({
+          prefix: '!',
+          xp: 1,
+          settings: { lang: 'en', tz: 0 },
+        });
+        expect(enmap.get('b', 'settings')).toEqual({ lang: 'fr', tz: 0 });
+        expect(enmap.ensureAll({ prefix: '.' })).toBe(0);
+        expect(() => enmap.ensureAll('defaults')).toThrow(
+          new CustomError(
+            'The defaults for the enmap "MemoryEnmap" must be an object',
+            'EnmapArgumentError',
+          ),
+        );
+      });
+
+      test('should emit events after the transaction', () => {
+        const enmap = guilds();
+        const listener = vi.fn();
+        enmap.on('set', listener);
+        enmap.unsetAll('xp');
+
+        expect(listener).toHaveBeenCalledTimes(1);
+        expect(listener).toHaveBeenCalledWith({
+          key: 'a',
+          oldValue: { prefix: '!', xp: 1 },
+          newValue: { prefix: '!' },
+          operation: 'unsetAll',
+        });
+      });
+    });
+
+    describe('array helpers', () => {
+      const enmap = new Enmap({ inMemory: true });
+
+      test('should push many values', () => {
+        enmap.set('inventory', { items: ['sword'] });
+        enmap.pushMany('inventory', ['shield', 'sword', 'bow', 'bow'], 'items');
+
+        expect(enmap.get('inventory', 'items')).toEqual([
+          'sword',
+          'shield',
+          'bow',
+        ]);
+        enmap.pushMany('inventory', ['bow'], 'items', true);
+        expect(enmap.get('inventory', 'items')).toHaveLength(4);
+        expect(() => enmap.pushMany('inventory', 'bow', 'items')).toThrow(
+          new CustomError(
+            'The values to push must be an array',
+            'EnmapTypeError',
+          ),
+        );
+      });
+
+      test('should cap the length of arrays', () => {
+        enmap.set('log', [1, 2, 3]);
+        enmap.push('log', 4, null, { maxLength: 3 });
+        expect(enmap.get('log')).toEqual([2, 3, 4]);
+        enmap.pushMany('log', [5, 6, 7, 8], null, { maxLength: 2 });
+        expect(enmap.get('log')).toEqual([7, 8]);
+        enmap.push('log', 8, null, { allowDupes: true, maxLength: 2 });
+        expect(enmap.get('log')).toEqual([8, 8]);
+
+        expect(() => enmap.push('log', 9, null, { maxLength: 0 })).toThrow(
+          new CustomError(
+            'The maxLength must be a positive integer',
+            'EnmapArgumentError',
+          ),
+        );
+      });
+
+      test('should not write when nothing is pushed', () => {
+        enmap.set('unique', [1]);
+        const version = enmap.version('unique');
+        enmap.push('unique', 1);
+        enmap.pushMany('unique', [1]);
+
+        expect(enmap.version('unique')).toBe(version);
+      });
+
+      test('should remove all matching values', () => {
+        enmap.set('inventory', { items: ['bow', 'sword', 'bow'] });
+
+        expect(enmap.removeAll('inventory', 'bow', 'items')).toBe(2);
+        expect(enmap.get('inventory', 'items')).toEqual(['sword']);
+        enmap.set('numbers', [1, 2, 3, 4]);
+        expect(enmap.removeAll('numbers', (n) => n % 2 === 0)).toBe(2);
+        expect(enmap.removeAll('numbers', 10)).toBe(0);
+        expect(enmap.get('numbers')).toEqual([1, 3]);
+      });
+
+      test('should insert and splice values', () => {
+        enmap.set('queue', { list: ['b', 'c'] });
+        enmap.insertAt('queue', 0, 'a', 'list');
+        enmap.insertAt('queue', -1, 'x', 'list');
+        expect(enmap.get('queue', 'list')).toEqual(['a', 'b', 'x', 'c']);
+
+        expect(enmap.splice('queue', 1, 2, ['y'], 'list')).toEqual(['b', 'x']);
+        expect(enmap.get('queue', 'list')).toEqual(['a', 'y', 'c']);
+        expect(enmap.splice('queue', 1, null, [], 'list')).toEqual(['y', 'c']);
+        expect(enmap.get('queue', 'list')).toEqual(['a']);
+        expect(() => enmap.splice('queue', 0.5)).toThrow(
+          new CustomError('The start must be an integer', 'EnmapTypeError'),
+        );
+      });
+
+      test('should shift, pop and unshift values', () => {
+        enmap.set('stack', [1, 2, 3]);
+
+        expect(enmap.shift('stack')).toBe(1);
+        expect(enmap.pop('stack')).toBe(3);
+        enmap.unshift('stack', 0);
+        expect(enmap.get('stack')).toEqual([0, 2]);
+        enmap.set('stack', []);
+        expect(enmap.shift('stack')).toBeNull();
+        expect(enmap.pop('stack')).toBeNull();
+      });
+
+      test('should move values', () => {
+        enmap.set('playlist', ['a', 'b', 'c', 'd']);
+        enmap.move('playlist', 3, 0);
+        expect(enmap.get('playlist')).toEqual(['d', 'a', 'b', 'c']);
+        enmap.move('playlist', 0, -1);
+        expect(enmap.get('playlist')).toEqual(['a', 'b', 'c', 'd']);
+
+        expect(() => enmap.move('playlist', 4, 0)).toThrow(
+          new CustomError(
+            'The index 4 is out of bounds of the array at key "playlist" (length 4)',
+            'EnmapPathError',
+          ),
+        );
+      });
+
+      test('should fail like push', () => {
+        enmap.set('string', 'value');
+        enmap.set('object', { sub: 'value' });
+
+        expect(() => enmap.pop('missing')).toThrow(
+          expect.objectContaining({ name: 'EnmapPathError' }),
+        );
+        expect(() => enmap.shift('string')).toThrow(
+          expect.objectContaining({ name: 'EnmapTypeError' }),
+        );
+        expect(() => enmap.unshift('object', 1, 'sub')).toThrow(
+          new CustomError('Key does not point to an array', 'EnmapPathError'),
+        );
+      });
+
+      test('should emit events', () => {
+        const listener = vi.fn();
+        enmap.set('events', [1, 2]);
+        enmap.on('set', listener);
+        enmap.pop('events');
+        enmap.off('set', listener);
+
+        expect(listener).toHaveBeenCalledWith({
+          key: 'events',
+          oldValue: [1, 2],
+          newValue: [1],
+          operation: 'pop',
+        });
+      });
+    });
+
     describe('export', () => {
       const enmap = new Enmap({ inMemory: true });
 
@@ -567,13 +1130,146 @@ describe('Enmap', () => {
 
         const output = enmap.export();
 
-        expect(parse(output)).toMatchObject({
+        expect(JSON.parse(output)).toMatchObject({
+          format: 'enmap',
           name: 'MemoryEnmap',
           exportDate: expect.any(Number),
           version: expect.any(String),
+          values: 'raw',
           keys: [{ key: 'export', value: stringify('value') }],
         });
       });
+
+      test('should export deserialized values', () => {
+        enmap.set('export', new Map([['a', 1]]));
+        enmap.set('plain', { name: 'Alice', items: [1, null] });
+
+        expect(
+          JSON.parse(enmap.export({ values: 'deserialized' })),
+        ).toMatchObject({
+          values: 'deserialized',
+          keys: [
+            {
+              key: 'export',
+              data: {
+                t: 10,
+                v: [['a', { t: 2, v: 1 }]],
+              },
+            },
+            { key: 'plain', json: { name: 'Alice', items: [1, null] } },
+          ],
+        });
+      });
+
+      test('should fail with invalid values', () => {
+        expect(() => enmap.export({ values: 'pretty' })).toThrow(
+          new CustomError(
+            'Exported values must be "raw" or "deserialized"',
+            'EnmapArgumentError',
+          ),
+        );
+      });
+    });
+
+    describe('export and import', () => {
+      const complex = {
+        map: new Map([['a', { list: [1, 2] }]]),
+        set: new Set(['x', 'y']),
+        big: 123456789012345678901234567890n,
+        date: new Date(0),
+        nested: { inner: new Map([[1, new Set([2n])]]) },
+      };
+
+      test.each(['raw', 'deserialized'])(
+        'should round-trip complex %s values',
+        (values) => {
+          const source = new Enmap({ inMemory: true });
+          source.set('complex', complex);
+          source.set('plain', 'value');
+          const target = new Enmap({ inMemory: true });
+          target.import(source.export({ values }));
+
+          expect(target.get('complex')).toEqual(complex);
+          expect(target.get('plain')).toBe('value');
+        },
+      );
+
+      test('should keep expiry', () => {
+        const source = new Enmap({ inMemory: true });
+        source.set('cooldown', true, null, { ttl: 60000 });
+        const target = new Enmap({ inMemory: true });
+        target.import(source.export({ values: 'deserialized' }));
+
+        expect(target.expiresAt('cooldown')).toBe(source.expiresAt('cooldown'));
+      });
+
+      test('should move data between serializers', () => {
+        const source = new Enmap({
+          inMemory: true,
+          serializer: (value) => ({ ...value, secret: undefined }),
+          deserializer: (value) => ({ ...value, secret: 'hidden' }),
+        });
+        source.set('user', { name: 'Alice', secret: 'hidden' });
+        const serializer = vi.fn((value) => ({
+          name: value.name.toUpperCase(),
+        }));
+        const target = new Enmap({
+          inMemory: true,
+          serializer,
+          deserializer: (value) => ({ ...value, imported: true }),
+        });
+        target.import(source.export({ values: 'deserialized' }));
+
+        expect(serializer).toHaveBeenCalledWith(
+          { name: 'Alice', secret: 'hidden' },
+          'user',
+        );
+        expect(target.get('user')).toEqual({ name: 'ALICE', imported: true });
+      });
+
+      test('should import exports from older versions', () => {
+        const enmap = new Enmap({ inMemory: true });
+        enmap.import(
+          stringify({
+            name: 'MemoryEnmap',
+            exportDate: Date.now(),
+            version: '6.0.0',
+            keys: [{ key: 'legacy', value: stringify(new Set([1])) }],
+          }),
+        );
+
+        expect(enmap.get('legacy')).toEqual(new Set([1]));
+      });
+
+      test('should fail to import invalid entries', () => {
+        const enmap = new Enmap({ inMemory: true });
+        const data = JSON.stringify({ keys: [{ key: 'a', value: 1 }] });
+
+        expect(() => enmap.import(data)).toThrow(
+          new CustomError(
+            'Entry 0 of the import is not a valid entry',
+            'EnmapDataError',
+          ),
+        );
+      });
+
+      test('should fail to import newer formats', () => {
+        const enmap = new Enmap({ inMemory: true });
+        const data = JSON.stringify({
+          format: 'enmap',
+          formatVersion: 2,
+          name: 'MemoryEnmap',
+          version: '6.0.0',
+          keys: [],
+        });
+
+        expect(() => enmap.import(data)).toThrow(
+          new CustomError(
+            'The import uses version 2 of the export format, but this version of Enmap only supports version 1',
+            'EnmapImportError',
+          ),
+        );
+      });
     });
 
     describe('import', () => {
@@ -956,5 +1652,2239 @@ describe('Enmap', () => {
         ]);
       });
     });
+
+    describe('ttl', () => {
+      afterEach(() => {
+        vi.useRealTimers();
+      });
+
+      test('should expire a key', () => {
+        vi.useFakeTimers();
+        const enmap = new Enmap({ inMemory: true });
+        enmap.set('ttl', 'value', null, { ttl: 1000 });
+
+        expect(enmap.get('ttl')).toBe('value');
+        expect(enmap.ttl('ttl')).toBe(1000);
+
+        vi.advanceTimersByTime(1000);
+
+        expect(enmap.get('ttl')).toBe(null);
+        expect(enmap.has('ttl')).toBe(false);
+        expect(enmap.ttl('ttl')).toBe(null);
+      });
+
+      test('should hide expired keys from every read', () => {
+        vi.useFakeTimers();
+        const enmap = new Enmap({ inMemory: true });
+        enmap.set('short', 'value', null, { ttl: 1000 });
+        enmap.set('long', 'value2');
+
+        vi.advanceTimersByTime(1000);
+
+        expect(enmap.size).toBe(1);
+        expect(enmap.keys()).toEqual(['long']);
+        expect(enmap.values()).toEqual(['value2']);
+        expect(enmap.filter((val) => val === 'value')).toEqual([]);
+        expect(enmap.randomKey(2)).toEqual(['long']);
+        expect(
+          enmap.db.prepare('SELECT count(*) FROM MemoryEnmap').pluck().get(),
+        ).toBe(2);
+      });
+
+      test('should read expired keys while iterating', () => {
+        vi.useFakeTimers();
+        const enmap = new Enmap({ inMemory: true });
+        enmap.set('expired', 'value', null, { ttl: 1000 });
+        enmap.set('live', 'value2');
+
+        vi.advanceTimersByTime(1000);
+
+        expect(
+          enmap.filter(
+            () => enmap.get('expired') === null && !enmap.has('expired'),
+          ),
+        ).toEqual(['value2']);
+        expect(
+          enmap.db.prepare('SELECT count(*) FROM MemoryEnmap').pluck().get(),
+        ).toBe(2);
+      });
+
+      test('should replace an expired key when written again', () => {
+        vi.useFakeTimers();
+        const enmap = new Enmap({ inMemory: true });
+        enmap.set('expired', { count: 1 }, null, { ttl: 1000 });
+
+        vi.advanceTimersByTime(1000);
+        enmap.set('expired', { count: 2 }, null, { keepTtl: true });
+
+        expect(enmap.get('expired')).toEqual({ count: 2 });
+        expect(enmap.expiresAt('expired')).toBe(null);
+        expect(enmap.version('expired')).toBe(1);
+      });
+
+      test('should use the default ttl', () => {
+        vi.useFakeTimers({ now: 5000 });
+        const enmap = new Enmap({ inMemory: true, ttl: 1000 });
+        enmap.set('default', 'value');
+
+        expect(enmap.expiresAt('default')).toBe(6000);
+      });
+
+      test('should keep the expiry on modifications', () => {
+        vi.useFakeTimers({ now: 5000 });
+        const enmap = new Enmap({ inMemory: true });
+        enmap.set('keep', { count: 1, list: [] }, null, { ttl: 1000 });
+
+        vi.advanceTimersByTime(500);
+        enmap.set('keep', 2, 'count');
+        enmap.push('keep', 'value', 'list');
+        enmap.math('keep', '+', 1, 'count');
+        enmap.update('keep', { other: true });
+
+        expect(enmap.expiresAt('keep')).toBe(6000);
+        expect(enmap.get('keep')).toEqual({
+          count: 3,
+          list: ['value'],
+          other: true,
+        });
+
+        enmap.set('keep', { count: 1 });
+        expect(enmap.ttl('keep')).toBe(Infinity);
+        expect(enmap.expiresAt('keep')).toBe(null);
+      });
+
+      test('should ensure a key w/ ttl', () => {
+        vi.useFakeTimers({ now: 5000 });
+        const enmap = new Enmap({ inMemory: true });
+
+        expect(enmap.ensure('ensure', 'value', null, { ttl: 1000 })).toBe(
+          'value',
+        );
+        expect(enmap.expiresAt('ensure')).toBe(6000);
+
+        vi.advanceTimersByTime(500);
+        enmap.ensure('ensure', 'value', null, { ttl: 1000 });
+        expect(enmap.expiresAt('ensure')).toBe(6000);
+      });
+
+      test('should purge expired keys', () => {
+        vi.useFakeTimers();
+        const enmap = new Enmap({ inMemory: true, purgeInterval: 1000 });
+        enmap.set('purge', 'value', null, { ttl: 500 });
+        enmap.set('purge2', 'value');
+        const count = () =>
+          enmap.db.prepare('SELECT count(*) FROM MemoryEnmap').pluck().get();
+
+        expect(count()).toBe(2);
+        vi.advanceTimersByTime(1000);
+        expect(count()).toBe(1);
+        expect(enmap.purge()).toBe(0);
+      });
+    });
+
+    describe('events', () => {
+      test('should notify every listener', () => {
+        const enmap = new Enmap({ inMemory: true });
+        const first = vi.fn();
+        const second = vi.fn();
+        enmap.on('set', first);
+        enmap.on('set', second);
+        enmap.set('events', 'value');
+
+        expect(first).toHaveBeenCalledWith({
+          key: 'events',
+          oldValue: undefined,
+          newValue: 'value',
+          operation: 'set',
+        });
+        expect(second).toHaveBeenCalledTimes(1);
+      });
+
+      test('should notify from every mutating method', () => {
+        const enmap = new Enmap({ inMemory: true });
+        const mock = vi.fn();
+        enmap.on('change', mock);
+
+        enmap.set('events', { list: [], count: 1 });
+        enmap.update('events', { other: true });
+        enmap.push('events', 'value', 'list');
+        enmap.remove('events', 'value', 'list');
+        enmap.math('events', '+', 1, 'count');
+        enmap.inc('events', 'count');
+        enmap.dec('events', 'count');
+        enmap.ensure('ensured', 'value');
+        enmap.delete('events', 'other');
+        enmap.delete('events');
+        enmap.set('swept', 'value');
+        enmap.sweep((val) => val === 'value');
+        enmap.import(
+          JSON.stringify({
+            keys: [{ key: 'imported', value: stringify('value') }],
+          }),
+        );
+        enmap.clear();
+
+        expect(mock.mock.calls.map(([event]) => event.operation)).toEqual([
+          'set',
+          'update',
+          'push',
+          'remove',
+          'math',
+          'inc',
+          'dec',
+          'ensure',
+          'delete',
+          'delete',
+          'set',
+          'sweep',
+          'sweep',
+          'import',
+          'clear',
+        ]);
+      });
+
+      test('should provide old and new values', () => {
+        const enmap = new Enmap({ inMemory: true });
+        const sets = vi.fn();
+        const deletes = vi.fn();
+        const imports = vi.fn();
+        const clears = vi.fn();
+        enmap.on('set', sets);
+        enmap.on('delete', deletes);
+        enmap.on('import', imports);
+        enmap.on('clear', clears);
+
+        enmap.set('values', 1);
+        enmap.inc('values');
+        enmap.import(
+          JSON.stringify({ keys: [{ key: 'values', value: stringify(5) }] }),
+        );
+        enmap.delete('values');
+        enmap.clear();
+
+        expect(sets.mock.calls[1][0]).toMatchObject({
+          oldValue: 1,
+          newValue: 2,
+        });
+        expect(imports.mock.calls[0][0]).toMatchObject({
+          key: 'values',
+          oldValue: 2,
+          newValue: 5,
+        });
+        expect(deletes.mock.calls[0][0]).toMatchObject({
+          key: 'values',
+          oldValue: 5,
+          newValue: undefined,
+        });
+        expect(clears.mock.calls[0][0]).toMatchObject({ key: null });
+      });
+
+      test('should remove listeners', () => {
+        const enmap = new Enmap({ inMemory: true });
+        const mock = vi.fn();
+        const onceMock = vi.fn();
+        enmap.on('set', mock);
+        enmap.once('set', onceMock);
+
+        enmap.set('events', 'value');
+        enmap.off('set', mock);
+        enmap.set('events', 'value2');
+
+        expect(mock).toHaveBeenCalledTimes(1);
+        expect(onceMock).toHaveBeenCalledTimes(1);
+      });
+
+      test('should replace the changed() callback', () => {
+        const enmap = new Enmap({ inMemory: true });
+        const first = vi.fn();
+        const second = vi.fn();
+        enmap.changed(first);
+        enmap.changed(second);
+        enmap.set('events', 'value');
+
+        expect(first).not.toHaveBeenCalled();
+        expect(second).toHaveBeenCalledWith('events', undefined, 'value');
+      });
+    });
+
+    describe('transaction', () => {
+      test('should commit all changes', () => {
+        const enmap = new Enmap({ inMemory: true });
+        const result = enmap.transaction(() => {
+          enmap.set('transaction', 1);
+          enmap.inc('transaction');
+          return enmap.get('transaction');
+        });
+
+        expect(result).toBe(2);
+        expect(enmap.get('transaction')).toBe(2);
+      });
+
+      test('should roll back on error', () => {
+        const enmap = new Enmap({ inMemory: true });
+        enmap.set('transaction', 1);
+
+        expect(() =>
+          enmap.transaction(() => {
+            enmap.inc('transaction');
+            enmap.set('other', 'value');
+            throw new Error('failed');
+          }),
+        ).toThrow('failed');
+        expect(enmap.get('transaction')).toBe(1);
+        expect(enmap.has('other')).toBe(false);
+      });
+
+      test('should roll back across enmaps in the same file', async () => {
+        await mkdir('./tmp').catch(() => {});
+        const { txBalances, txLogs } = Enmap.multi(['txBalances', 'txLogs'], {
+          dataDir: './tmp',
+        });
+        txBalances.set('alice', 10);
+        txLogs.clear();
+
+        expect(() =>
+          txBalances.transaction(() => {
+            txBalances.math('alice', '-', 5);
+            txLogs.set('transfer', { amount: 5 });
+            throw new Error('failed');
+          }),
+        ).toThrow('failed');
+        expect(txBalances.get('alice')).toBe(10);
+        expect(txLogs.has('transfer')).toBe(false);
+
+        txLogs.transaction(() => {
+          txBalances.math('alice', '-', 5);
+          txLogs.set('transfer', { amount: 5 });
+        });
+        expect(txBalances.get('alice')).toBe(5);
+        expect(txLogs.get('transfer')).toEqual({ amount: 5 });
+      });
+
+      test('should only fire events after commit', () => {
+        const enmap = new Enmap({ inMemory: true });
+        const mock = vi.fn();
+        enmap.on('change', mock);
+
+        enmap.transaction(() => {
+          enmap.set('committed', 'value');
+          expect(mock).not.toHaveBeenCalled();
+          try {
+            enmap.transaction(() => {
+              enmap.set('nested', 'value');
+              throw new Error('failed');
+            });
+          } catch {
+            // The outer transaction carries on.
+          }
+        });
+        expect(() =>
+          enmap.transaction(() => {
+            enmap.set('rolledBack', 'value');
+            throw new Error('failed');
+          }),
+        ).toThrow('failed');
+
+        expect(mock).toHaveBeenCalledTimes(1);
+        expect(mock.mock.calls[0][0].key).toBe('committed');
+        expect(enmap.has('nested')).toBe(false);
+      });
+    });
+
+    describe('bulk', () => {
+      afterEach(() => {
+        vi.useRealTimers();
+      });
+
+      test('should set many values', () => {
+        const enmap = new Enmap({ inMemory: true });
+        enmap.setMany([
+          ['bulk1', 'value1'],
+          ['bulk2', { sub: 'value2' }],
+        ]);
+        enmap.setMany(new Map([['bulk3', 3]]));
+        enmap.setMany({ bulk4: [4] });
+
+        expect(enmap.entries()).toEqual([
+          ['bulk1', 'value1'],
+          ['bulk2', { sub: 'value2' }],
+          ['bulk3', 3],
+          ['bulk4', [4]],
+        ]);
+      });
+
+      test('should set many values w/ ttl', () => {
+        vi.useFakeTimers({ now: 5000 });
+        const enmap = new Enmap({ inMemory: true });
+        enmap.setMany({ bulk1: 1, bulk2: 2 }, { ttl: 1000 });
+
+        expect(enmap.expiresAt('bulk2')).toBe(6000);
+      });
+
+      test('should set many values w/ custom serializing', () => {
+        const enmap = new Enmap({
+          inMemory: true,
+          serializer: (value) => ({ ...value, serialized: true }),
+          deserializer: ({ serialized, ...value }) => value,
+        });
+        enmap.setMany({ bulk1: { a: 1 }, bulk2: { b: 2 } });
+
+        expect(
+          enmap.db
+            .prepare("SELECT value FROM MemoryEnmap WHERE key = 'bulk1'")
+            .pluck()
+            .get(),
+        ).toBe(stringify({ a: 1, serialized: true }));
+        expect(enmap.getMany(['bulk1', 'bulk2'])).toEqual([{ a: 1 }, { b: 2 }]);
+      });
+
+      test('should get many values', () => {
+        const enmap = new Enmap({ inMemory: true });
+        enmap.setMany({ bulk1: 1, bulk2: 2 });
+
+        expect(enmap.getMany(['bulk2', 'unknown', 'bulk1'])).toEqual([
+          2,
+          null,
+          1,
+        ]);
+      });
+
+      test('should get many values w/ default', () => {
+        const enmap = new Enmap({ inMemory: true, autoEnsure: { a: 1 } });
+        enmap.set('bulk1', { a: 2 });
+
+        expect(enmap.getMany(['bulk1', 'bulk2'])).toEqual([{ a: 2 }, { a: 1 }]);
+        expect(enmap.has('bulk2')).toBe(true);
+      });
+
+      test('should check many keys', () => {
+        const enmap = new Enmap({ inMemory: true });
+        enmap.setMany({ bulk1: 1, bulk2: 2 });
+
+        expect(enmap.hasMany(['bulk1', 'unknown', 'bulk2'])).toEqual([
+          true,
+          false,
+          true,
+        ]);
+      });
+
+      test('should delete many keys', () => {
+        const enmap = new Enmap({ inMemory: true });
+        enmap.setMany({ bulk1: 1, bulk2: 2, bulk3: 3 });
+
+        expect(enmap.deleteMany(['bulk1', 'bulk3', 'unknown'])).toBe(2);
+        expect(enmap.keys()).toEqual(['bulk2']);
+      });
+
+      test('should fail w/ invalid key', () => {
+        const enmap = new Enmap({ inMemory: true });
+
+        expect(() => enmap.setMany([[1, 'value']])).toThrow(
+          'Invalid key for enmap - keys must be a string.',
+        );
+        expect(() => enmap.getMany([1])).toThrow(
+          'Invalid key for enmap - keys must be a string.',
+        );
+      });
+
+      test('should notify per key', () => {
+        const enmap = new Enmap({ inMemory: true });
+        const mock = vi.fn();
+        enmap.set('bulk1', 0);
+        enmap.on('change', mock);
+
+        enmap.setMany({ bulk1: 1, bulk2: 2 });
+        enmap.deleteMany(['bulk1', 'bulk2']);
+
+        expect(mock.mock.calls.map(([event]) => event)).toEqual([
+          { key: 'bulk1', oldValue: 0, newValue: 1, operation: 'setMany' },
+          {
+            key: 'bulk2',
+            oldValue: undefined,
+            newValue: 2,
+            operation: 'setMany',
+          },
+          {
+            key: 'bulk1',
+            oldValue: 1,
+            newValue: undefined,
+            operation: 'deleteMany',
+          },
+          {
+            key: 'bulk2',
+            oldValue: 2,
+            newValue: undefined,
+            operation: 'deleteMany',
+          },
+        ]);
+      });
+    });
+
+    describe('statements', () => {
+      test('should prepare statements once', () => {
+        const enmap = new Enmap({ inMemory: true });
+        const run = () => {
+          enmap.set('statements', { count: 0, list: [] });
+          enmap.get('statements');
+          enmap.has('statements');
+          enmap.inc('statements', 'count');
+          enmap.push('statements', 'value', 'list');
+          enmap.values();
+        };
+        run();
+        const spy = vi.spyOn(enmap.db, 'prepare');
+        run();
+
+        expect(spy).not.toHaveBeenCalled();
+      });
+
+      test('should parse values once per operation', () => {
+        const deserializer = vi.fn((value) => value);
+        const enmap = new Enmap({ inMemory: true, deserializer });
+        enmap.set('statements', { count: 0, list: [] });
+
+        deserializer.mockClear();
+        enmap.push('statements', 'value', 'list');
+        enmap.inc('statements', 'count');
+        enmap.math('statements', '+', 2, 'count');
+
+        expect(deserializer).toHaveBeenCalledTimes(3);
+        expect(enmap.get('statements')).toEqual({ count: 3, list: ['value'] });
+      });
+
+      test('should parse values once per ensure', async () => {
+        const deserializer = vi.fn((value) => value);
+        const enmap = new Enmap({ inMemory: true, deserializer });
+        enmap.set('ensure', { count: 0 });
+
+        deserializer.mockClear();
+        enmap.ensure('ensure', { count: 1, list: [] });
+        enmap.ensure('ensure', 'value', 'name');
+        enmap.ensure('ensure', 'other', 'name');
+        await enmap.ensureAsync('ensure', 'value', 'title');
+
+        expect(deserializer).toHaveBeenCalledTimes(4);
+        expect(enmap.get('ensure')).toEqual({
+          count: 0,
+          list: [],
+          name: 'value',
+          title: 'value',
+        });
+      });
+    });
+
+    describe('indexes', () => {
+      const members = () => {
+        const enmap = new Enmap({ inMemory: true });
+        enmap.set('alice', { profile: { guildId: '1', level: 3 } });
+        enmap.set('bob', { profile: { guildId: '2', level: 3 } });
+        enmap.set('carol', { profile: { guildId: '1', level: 5 } });
+        enmap.set('dave', { profile: { guildId: 1, admin: true } });
+        return enmap;
+      };
+
+      test('should create, list and drop indexes', () => {
+        const enmap = members();
+        enmap.createIndex('profile.guildId');
+        enmap.createIndex('profile.level');
+
+        expect(enmap.listIndexes()).toEqual([
+          'profile.guildId',
+          'profile.level',
+        ]);
+
+        enmap.dropIndex('profile.level');
+        expect(enmap.listIndexes()).toEqual(['profile.guildId']);
+      });
+
+      test('should use the index for path lookups', () => {
+        const enmap = members();
+        enmap.createIndex('profile.guildId');
+        const spy = vi.spyOn(enmap.db, 'prepare');
+
+        expect(enmap.filter('profile.guildId', '1')).toEqual([
+          { profile: { guildId: '1', level: 3 } },
+          { profile: { guildId: '1', level: 5 } },
+        ]);
+        expect(enmap.find('profile.guildId', 1)).toEqual({
+          profile: { guildId: 1, admin: true },
+        });
+        expect(enmap.findIndex('profile.guildId', '2')).toBe('bob');
+        expect(enmap.findIndex('profile.guildId', '3')).toBe(null);
+
+        const [sql] = spy.mock.calls.find(([query]) =>
+          query.includes('json_extract'),
+        );
+        const plan = enmap.db
+          .prepare(`EXPLAIN QUERY PLAN ${sql}`)
+          .all('1', 1, Date.now());
+        expect(plan[0].detail).toContain('USING INDEX');
+      });
+
+      test('should sweep w/ index', () => {
+        const enmap = members();
+        enmap.createIndex('profile.guildId');
+
+        expect(enmap.sweep('profile.guildId', '1')).toBe(2);
+        expect(enmap.keys()).toEqual(['bob', 'dave']);
+      });
+
+      test('should match booleans and null exactly', () => {
+        const enmap = members();
+        enmap.set('erin', { profile: { admin: 1 } });
+        enmap.set('frank', { profile: { admin: null } });
+        enmap.createIndex('profile.admin');
+
+        expect(enmap.findIndex('profile.admin', true)).toBe('dave');
+        expect(enmap.findIndex('profile.admin', 1)).toBe('erin');
+        expect(enmap.findIndex('profile.admin', null)).toBe('frank');
+      });
+
+      test('should persist indexes', async () => {
+        await mkdir('./tmp').catch(() => {});
+        const enmap = new Enmap({ name: 'indexes', dataDir: './tmp' });
+        enmap.createIndex('profile.guildId');
+
+        const reopened = new Enmap({ name: 'indexes', dataDir: './tmp' });
+        expect(reopened.listIndexes()).toEqual(['profile.guildId']);
+        reopened.dropIndex('profile.guildId');
+      });
+
+      test('should fail to index unsupported paths', () => {
+        const enmap = members();
+        const serialized = new Enmap({
+          inMemory: true,
+          serializer: (value) => value,
+        });
+
+        expect(() => enmap.createIndex('list.0')).toThrow(
+          new CustomError(
+            'Cannot create an index on "list.0": paths must be property names separated by dots.',
+            'EnmapIndexError',
+          ),
+        );
+        expect(() => serialized.createIndex('profile.guildId')).toThrow(
+          new CustomError(
+            'Cannot create an index in the enmap "MemoryEnmap" because it uses a custom serializer or deserializer.',
+            'EnmapIndexError',
+          ),
+        );
+      });
+    });
+
+    describe('iteration', () => {
+      const numbers = (count) => {
+        const enmap = new Enmap({ inMemory: true });
+        enmap.setMany(Array.from({ length: count }, (_, i) => [`key${i}`, i]));
+        return enmap;
+      };
+
+      test('should iterate lazily', () => {
+        const enmap = numbers(1200);
+        const keys = enmap.iterKeys();
+
+        expect(keys.next().value).toBe('key0');
+        expect([...keys].length).toBe(1199);
+        expect([...enmap.iterValues()]).toEqual(enmap.values());
+        expect([...enmap.iterEntries()]).toEqual(enmap.entries());
+      });
+
+      test('should be iterable', () => {
+        const enmap = numbers(3);
+
+        expect([...enmap]).toEqual([
+          ['key0', 0],
+          ['key1', 1],
+          ['key2', 2],
+        ]);
+        expect(new Map(enmap).get('key1')).toBe(1);
+      });
+
+      test('should allow writes while iterating', () => {
+        const enmap = numbers(1200);
+        for (const [key, value] of enmap) {
+          enmap.set(key, value * 2);
+        }
+
+        expect(enmap.get('key1100')).toBe(2200);
+      });
+
+      test('should skip expired keys', () => {
+        const enmap = numbers(2);
+        enmap.set('expired', 'value', null, { ttl: -1 });
+
+        expect([...enmap.iterKeys()]).toEqual(['key0', 'key1']);
+      });
+
+      test('should be async iterable', async () => {
+        const enmap = numbers(1200);
+        let released = false;
+        setImmediate(() => {
+          released = true;
+        });
+        const seen = [];
+        let sum = 0;
+        for await (const [, value] of enmap) {
+          seen.push(released);
+          sum += value;
+        }
+
+        // The event loop ran after the first batch of rows.
+        expect(seen[0]).toBe(false);
+        expect(seen[1199]).toBe(true);
+        expect(sum).toBe((1199 * 1200) / 2);
+      });
+    });
+    describe('schema', () => {
+      // A minimal Standard Schema requiring `{ name: string, level: number }`.
+      const userSchema = {
+        '~standard': {
+          version: 1,
+          vendor: 'test',
+          validate: (value) => {
+            if (typeof value?.name !== 'string')
+              return {
+                issues: [{ message: 'Expected a string', path: ['name'] }],
+              };
+            if (typeof value.level !== 'number')
+              return {
+                issues: [
+                  { message: 'Expected a number', path: [{ key: 'level' }] },
+                ],
+              };
+            return { value };
+          },
+        },
+      };
+
+      test('should validate with a function', () => {
+        const enmap = new Enmap({
+          inMemory: true,
+          schema: (value) => typeof value === 'number' || 'Expected a number',
+        });
+        enmap.set('valid', 1);
+
+        expect(() => enmap.set('invalid', 'one')).toThrow(
+          'Invalid value for key "invalid" in enmap "MemoryEnmap": Expected a number',
+        );
+        expect(enmap.has('invalid')).toBe(false);
+      });
+
+      test('should reject values when the function returns false', () => {
+        const enmap = new Enmap({ inMemory: true, schema: () => false });
+
+        expect(() => enmap.set('key', 'value')).toThrow(
+          expect.objectContaining({ name: 'EnmapValidationError' }),
+        );
+      });
+
+      test('should validate with a standard schema', () => {
+        const enmap = new Enmap({ inMemory: true, schema: userSchema });
+        enmap.set('user', { name: 'Alice', level: 1 });
+
+        expect(() => enmap.set('user', 'two', 'level')).toThrow(
+          'Invalid value for key "user" at path "level" in enmap "MemoryEnmap": Expected a number',
+        );
+        expect(() => enmap.set('other', { level: 1 })).toThrow(
+          'at path "name"',
+        );
+        expect(enmap.get('user')).toEqual({ name: 'Alice', level: 1 });
+      });
+
+      test('should validate every write method', () => {
+        const enmap = new Enmap({
+          inMemory: true,
+          schema: (value) => !Array.isArray(value) || value.length < 3,
+        });
+        enmap.set('list', [1, 2]);
+        enmap.set('number', 1);
+
+        expect(() => enmap.push('list', 3)).toThrow(CustomError);
+        expect(() => enmap.update('list', (list) => [...list, 3])).toThrow(
+          CustomError,
+        );
+        expect(() => enmap.ensure('other', [1, 2, 3])).toThrow(CustomError);
+        expect(() => enmap.setMany({ a: [1, 2, 3] })).toThrow(CustomError);
+        expect(enmap.get('list')).toEqual([1, 2]);
+        expect(enmap.has('other')).toBe(false);
+        expect(enmap.has('a')).toBe(false);
+      });
+
+      test('should validate math', () => {
+        const enmap = new Enmap({
+          inMemory: true,
+          schema: (value) => value <= 10 || 'Too big',
+        });
+        enmap.set('number', 9);
+        enmap.inc('number');
+
+        expect(() => enmap.inc('number')).toThrow('Too big');
+        expect(() => enmap.math('number', '+', 5)).toThrow('Too big');
+        expect(enmap.get('number')).toBe(10);
+      });
+
+      test('should validate observed objects', () => {
+        const enmap = new Enmap({ inMemory: true, schema: userSchema });
+        enmap.set('user', { name: 'Alice', level: 1 });
+        const user = enmap.observe('user');
+
+        expect(() => {
+          user.level = 'two';
+        }).toThrow('at path "level"');
+        expect(enmap.get('user')).toEqual({ name: 'Alice', level: 1 });
+      });
+
+      test('should validate imports atomically', () => {
+        const enmap = new Enmap({ inMemory: true, schema: userSchema });
+        const data = JSON.stringify({
+          name: 'MemoryEnmap',
+          exportDate: Date.now(),
+          version: '1.0.0',
+          keys: [
+            { key: 'valid', value: stringify({ name: 'Alice', level: 1 }) },
+            { key: 'invalid', value: stringify({ name: 'Bob' }) },
+          ],
+        });
+
+        expect(() => enmap.import(data)).toThrow(
+          'Invalid value for key "invalid" at path "level"',
+        );
+        expect(enmap.size).toBe(0);
+      });
+
+      test('should reject asynchronous schemas', () => {
+        const enmap = new Enmap({
+          inMemory: true,
+          schema: {
+            '~standard': {
+              version: 1,
+              vendor: 'test',
+              validate: async (value) => ({ value }),
+            },
+          },
+        });
+
+        expect(() => enmap.set('key', 'value')).toThrow(
+          expect.objectContaining({ name: 'EnmapTypeError' }),
+        );
+      });
+
+      test('should reject invalid schemas', () => {
+        expect(() => new Enmap({ inMemory: true, schema: {} })).toThrow(
+          expect.objectContaining({ name: 'EnmapArgumentError' }),
+        );
+      });
+    });
+    describe('migrations', () => {
+      const dataDir = './tmp/migrations';
+      const { open } = tempEnmaps(dataDir);
+      const users = (name) => {
+        const enmap = open(name);
+        enmap.set('alice', { name: 'Alice', xp: 10 });
+        enmap.set('bob', { name: 'Bob', xp: 20 });
+        return enmap;
+      };
+      const migrations = [
+        {
+          version: 1,
+          up: (user) => ({ ...user, level: Math.floor(user.xp / 10) }),
+        },
+        {
+          version: 2,
+          up: (user) => {
+            delete user.xp;
+          },
+        },
+      ];
+
+      test('should apply migrations on construction', () => {
+        users('migrate');
+        const enmap = open('migrate', { migrations });
+
+        expect(enmap.schemaVersion).toBe(2);
+        expect(enmap.get('alice')).toEqual({ name: 'Alice', level: 1 });
+        expect(enmap.get('bob')).toEqual({ name: 'Bob', level: 2 });
+      });
+
+      test('should only apply pending migrations', () => {
+        const up = vi.fn((user) => user);
+        users('pending');
+        open('pending', { migrations: [migrations[0]] });
+        const enmap = open('pending', {
+          migrations: [migrations[0], { version: 2, up }],
+        });
+        open('pending', { migrations: [migrations[0], { version: 2, up }] });
+
+        expect(up).toHaveBeenCalledTimes(2);
+        expect(up).toHaveBeenCalledWith(
+          { name: 'Alice', xp: 10, level: 1 },
+          'alice',
+        );
+        expect(enmap.schemaVersion).toBe(2);
+      });
+
+      test('should roll back a failed migration', () => {
+        users('failed');
+
+        expect(
+          () =>
+            new Enmap({
+              name: 'failed',
+              dataDir,
+              migrations: [
+                migrations[0],
+                {
+                  version: 2,
+                  up: (user) => {
+                    if (user.name === 'Bob') throw new Error('No Bobs');
+                  },
+                },
+              ],
+            }),
+        ).toThrow(
+          new CustomError(
+            'Migration 2 failed for key "bob" in enmap "failed": No Bobs',
+            'EnmapMigrationError',
+          ),
+        );
+        const enmap = open('failed');
+        expect(enmap.schemaVersion).toBe(0);
+        expect(enmap.get('alice')).toEqual({ name: 'Alice', xp: 10 });
+      });
+
+      test('should not change anything in a dry run', () => {
+        users('dryrun');
+        const enmap = open('dryrun', { migrations, dryRunMigrations: true });
+
+        expect(enmap.schemaVersion).toBe(0);
+        expect(enmap.get('alice')).toEqual({ name: 'Alice', xp: 10 });
+      });
+
+      test('should validate migrated values', () => {
+        users('validated');
+
+        expect(
+          () =>
+            new Enmap({
+              name: 'validated',
+              dataDir,
+              migrations,
+              schema: (user) => 'xp' in user || 'Missing xp',
+            }),
+        ).toThrow('Migration 2 failed for key "alice"');
+      });
+
+      test('should fail with unordered migrations', () => {
+        expect(
+          () =>
+            new Enmap({
+              inMemory: true,
+              migrations: [migrations[1], migrations[0]],
+            }),
+        ).toThrow(
+          new CustomError(
+            'Migration versions must be positive integers in increasing order',
+            'EnmapArgumentError',
+          ),
+        );
+      });
+    });
+    describe('change feed', () => {
+      const dataDir = './tmp/feed';
+      const file = `${dataDir}/enmap.sqlite`;
+      // A separate connection, like another process using the same file.
+      const otherProcess = () => new Database(file);
+      const feed = async (name, options = {}) => {
+        await mkdir(dataDir, { recursive: true });
+        return new Enmap({
+          name,
+          dataDir,
+          changeFeed: { pollInterval: 100 },
+          ...options,
+        });
+      };
+
+      afterEach(() => {
+        vi.useRealTimers();
+      });
+
+      afterAll(async () => {
+        await rm(dataDir, { recursive: true }).catch(() => {});
+      });
+
+      test('should receive changes from other processes', async () => {
+        const enmap = await feed('feedother');
+        vi.useFakeTimers();
+        const watcher = vi.fn();
+        enmap.watch(watcher);
+        const db = otherProcess();
+        db.prepare('INSERT INTO feedother (key, value) VALUES (?, ?)').run(
+          'key',
+          stringify({ hello: 'world' }),
+        );
+        db.prepare('DELETE FROM feedother WHERE key = ?').run('key');
+        db.close();
+        vi.advanceTimersByTime(100);
+
+        expect(watcher).toHaveBeenCalledTimes(2);
+        expect(watcher).toHaveBeenNthCalledWith(
+          1,
+          expect.objectContaining({
+            key: 'key',
+            operation: 'set',
+            value: { hello: 'world' },
+          }),
+        );
+        expect(watcher).toHaveBeenNthCalledWith(
+          2,
+          expect.objectContaining({
+            key: 'key',
+            operation: 'delete',
+            value: undefined,
+          }),
+        );
+        expect(watcher.mock.calls[1][0].seq).toBeGreaterThan(
+          watcher.mock.calls[0][0].seq,
+        );
+      });
+
+      test('should receive its own changes until stopped', async () => {
+        const enmap = await feed('feedown');
+        enmap.set('old', 'value');
+        vi.useFakeTimers();
+        const watcher = vi.fn();
+        const stop = enmap.watch(watcher);
+        enmap.set('key', 'value');
+        enmap.set('key', 'other', null);
+        vi.advanceTimersByTime(100);
+        stop();
+        enmap.delete('key');
+        vi.advanceTimersByTime(100);
+
+        expect(watcher.mock.calls.map(([event]) => event.value)).toEqual([
+          'value',
+          'other',
+        ]);
+      });
+
+      test('should keep the cache up to date', async () => {
+        vi.useFakeTimers();
+        const enmap = await feed('feedcache', { cache: true });
+        enmap.set('key', 'value');
+        enmap.get('key');
+        const db = otherProcess();
+        db.prepare('UPDATE feedcache SET value = ? WHERE key = ?').run(
+          stringify('changed'),
+          'key',
+        );
+        db.close();
+
+        expect(enmap.get('key')).toBe('value');
+        vi.advanceTimersByTime(100);
+        expect(enmap.get('key')).toBe('changed');
+      });
+
+      test('should only keep changes for the retention period', async () => {
+        const enmap = await feed('feedretention', {
+          changeFeed: { pollInterval: 100, retention: 1000 },
+        });
+        vi.useFakeTimers();
+        enmap.watch(() => {});
+        enmap.set('key', 'value');
+        const count = () => {
+          const db = otherProcess();
+          const rows = db
+            .prepare('SELECT count(*) FROM "feedretention::changes"')
+            .pluck()
+            .get();
+          db.close();
+          return rows;
+        };
+        vi.advanceTimersByTime(100);
+        expect(count()).toBe(1);
+        vi.advanceTimersByTime(2000);
+        expect(count()).toBe(0);
+      });
+
+      test('should wait for an async deserializer', async () => {
+        const enmap = await feed('feedasync', {
+          deserializer: async (value) => ({ ...value, loaded: true }),
+        });
+        vi.useFakeTimers();
+        const watcher = vi.fn();
+        enmap.watch(watcher);
+        await enmap.setAsync('key', { hello: 'world' });
+        await vi.advanceTimersByTimeAsync(100);
+
+        expect(watcher).toHaveBeenCalledWith(
+          expect.objectContaining({
+            key: 'key',
+            value: { hello: 'world', loaded: true },
+          }),
+        );
+      });
+
+      test('should keep polling when a watcher or the deserializer throws', async () => {
+        const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+        const enmap = await feed('feedthrow', {
+          deserializer: (value) => {
+            if (value === 'bad') throw new Error('bad value');
+            return value;
+          },
+        });
+        vi.useFakeTimers();
+        const watcher = vi.fn();
+        enmap.watch(() => {
+          throw new Error('broken watcher');
+        });
+        enmap.watch(watcher);
+        enmap.set('first', 'bad');
+        vi.advanceTimersByTime(100);
+        enmap.set('second', 'good');
+        vi.advanceTimersByTime(100);
+        await vi.advanceTimersByTimeAsync(0);
+
+        expect(watcher.mock.calls.map(([event]) => event.value)).toEqual([
+          'good',
+        ]);
+        expect(warn).toHaveBeenCalledWith(
+          'Change feed of enmap "feedthrow" failed: Error while deserializing data: bad value',
+        );
+        expect(warn).toHaveBeenCalledWith(
+          expect.stringContaining(
+            'A watcher of enmap "feedthrow" failed on change',
+          ),
+        );
+        warn.mockRestore();
+      });
+
+      test('should stop polling when the enmap is dropped', async () => {
+        const enmap = await feed('feeddrop');
+        vi.useFakeTimers();
+        enmap.watch(() => {});
+        new Enmap({ name: 'feeddrop', dataDir }).drop();
+        expect(vi.getTimerCount()).toBe(1);
+        await vi.advanceTimersByTimeAsync(100);
+
+        expect(vi.getTimerCount()).toBe(0);
+        enmap.close();
+      });
+
+      test('should fail to watch without the option', () => {
+        const enmap = new Enmap({ inMemory: true });
+
+        expect(() => enmap.watch(() => {})).toThrow(
+          new CustomError(
+            'Cannot watch the enmap "MemoryEnmap" because its changeFeed option is not set.',
+            'EnmapFeedError',
+          ),
+        );
+        expect(
+          () => new Enmap({ inMemory: true, changeFeed: { pollInterval: 0 } }),
+        ).toThrow(
+          new CustomError(
+            'The changeFeed pollInterval must be a positive number',
+            'EnmapArgumentError',
+          ),
+        );
+      });
+    });
+    describe('async serialization', () => {
+      const tick = () => new Promise((resolve) => setTimeout(resolve, 1));
+      // Stores users with their avatar replaced by an id, like an upload would.
+      const users = (options = {}) =>
+        new Enmap({
+          inMemory: true,
+          serializer: async ({ avatar, ...user }) => {
+            await tick();
+            return { ...user, avatarId: avatar?.id };
+          },
+          deserializer: async ({ avatarId, ...user }) => {
+            await tick();
+            return { ...user, avatar: { id: avatarId } };
+          },
+          ...options,
+        });
+
+      test('should set and get values', async () => {
+        const enmap = users();
+
+        expect(
+          await enmap.setAsync('alice', { name: 'Alice', avatar: { id: 1 } }),
+        ).toBe(enmap);
+        expect(await enmap.getAsync('alice')).toEqual({
+          name: 'Alice',
+          avatar: { id: 1 },
+        });
+        await enmap.setAsync('alice', 'Alicia', 'name');
+        expect(await enmap.getAsync('alice', 'name')).toBe('Alicia');
+        expect(await enmap.getAsync('bob')).toBeNull();
+      });
+
+      test('should ensure values', async () => {
+        const enmap = users();
+
+        expect(
+          await enmap.ensureAsync('alice', {
+            name: 'Alice',
+            avatar: { id: 1 },
+          }),
+        ).toEqual({ name: 'Alice', avatar: { id: 1 } });
+        expect(
+          await enmap.ensureAsync('alice', { name: 'Other', level: 1 }),
+        ).toEqual({ name: 'Alice', avatar: { id: 1 }, level: 1 });
+        expect(await enmap.ensureAsync('alice', 5, 'xp')).toBe(5);
+        expect(await enmap.getAsync('alice', 'xp')).toBe(5);
+      });
+
+      test('should update values', async () => {
+        const enmap = users();
+        const listener = vi.fn();
+        enmap.on('set', listener);
+        await enmap.setAsync('alice', { name: 'Alice', avatar: { id: 1 } });
+        await enmap.updateAsync('alice', { level: 2 });
+        await enmap.updateAsync('alice', async (user) => {
+          await tick();
+          return { ...user, avatar: { id: 2 } };
+        });
+
+        expect(await enmap.getAsync('alice')).toEqual({
+          name: 'Alice',
+          level: 2,
+          avatar: { id: 2 },
+        });
+        expect(listener).toHaveBeenLastCalledWith(
+          expect.objectContaining({ key: 'alice', operation: 'update' }),
+        );
+        await expect(enmap.updateAsync('bob', {})).rejects.toThrow(
+          new CustomError(
+            'The key "bob" does not exist in the enmap "MemoryEnmap"',
+            'EnmapPathError',
+          ),
+        );
+      });
+
+      test('should fail to use sync methods', async () => {
+        const enmap = users();
+        await enmap.setAsync('alice', { name: 'Alice' });
+
+        expect(() => enmap.set('bob', { name: 'Bob' })).toThrow(
+          new CustomError(
+            'The serializer of the enmap "MemoryEnmap" is asynchronous, use setAsync(), ensureAsync() or updateAsync() instead.',
+            'EnmapTypeError',
+          ),
+        );
+        expect(() => enmap.get('alice')).toThrow(
+          new CustomError(
+            'The deserializer of the enmap "MemoryEnmap" is asynchronous, use getAsync(), ensureAsync() or updateAsync() instead.',
+            'EnmapTypeError',
+          ),
+        );
+        expect(enmap.has('bob')).toBe(false);
+      });
+
+      test('should reject deserializer errors', async () => {
+        const enmap = users({
+          deserializer: async () => {
+            throw new Error('Avatar not found');
+          },
+        });
+        await enmap.setAsync('alice', { name: 'Alice' });
+
+        await expect(enmap.getAsync('alice')).rejects.toThrow(
+          new CustomError(
+            'Error while deserializing data: Avatar not found',
+            'EnmapParseError',
+          ),
+        );
+      });
+
+      test('should work with sync functions', async () => {
+        const enmap = new Enmap({ inMemory: true, cache: true });
+        await enmap.setAsync('key', { a: 1 });
+
+        expect(await enmap.getAsync('key')).toEqual({ a: 1 });
+        expect(await enmap.getAsync('key')).toEqual({ a: 1 });
+        expect(enmap.cache.stats.hits).toBe(1);
+        expect(enmap.get('key', 'a')).toBe(1);
+      });
+    });
+    describe('streaming export', () => {
+      const dir = './tmp/exports';
+      const users = (name = 'users', count = 3) => {
+        const enmap = new Enmap({ name, dataDir: './tmp' });
+        enmap.clear();
+        enmap.setMany(
+          Array.from({ length: count }, (_, i) => [
+            `user${i}`,
+            { name: `User ${i}`, joined: new Date(i) },
+          ]),
+        );
+        return enmap;
+      };
+      const lines = (text) =>
+        Readable.from(text.map((line) => `${JSON.stringify(line)}\n`));
+      const header = (options = {}) => ({
+        format: 'enmap',
+        formatVersion: 1,
+        name: 'MemoryEnmap',
+        version: '6.0.0',
+        exportDate: Date.now(),
+        total: 1,
+        ...options,
+      });
+
+      afterAll(async () => {
+        await rm(dir, { recursive: true }).catch(() => {});
+      });
+
+      test('should export and import a file', async () => {
+        await mkdir(dir, { recursive: true });
+        const source = users('exportsource', 1200);
+        const progress = vi.fn();
+
+        expect(await source.exportTo(`${dir}/users.ndjson`, { progress })).toBe(
+          1200,
+        );
+        expect(progress).toHaveBeenLastCalledWith({ count: 1200, total: 1200 });
+        const target = users('exporttarget', 0);
+        expect(
+          await target.importFrom(`${dir}/users.ndjson`, {
+            sourceName: 'exportsource',
+          }),
+        ).toBe(1200);
+        expect(target.entries()).toEqual(source.entries());
+        expect(target.get('user1').joined).toEqual(new Date(1));
+      });
+
+      test('should stream deserialized values', async () => {
+        const source = new Enmap({ inMemory: true });
+        source.set('complex', { map: new Map([['a', 1n]]), set: new Set([1]) });
+        const chunks = [];
+        await source.exportTo(
+          new Writable({
+            write(chunk, encoding, callback) {
+              chunks.push(chunk.toString());
+              callback();
+            },
+          }),
+          { values: 'deserialized' },
+        );
+        const target = new Enmap({
+          inMemory: true,
+          serializer: (value) => ({ ...value, imported: true }),
+        });
+        await target.importFrom(Readable.from(chunks), {
+          sourceName: 'MemoryEnmap',
+        });
+
+        expect(JSON.parse(chunks[0])).toMatchObject({ values: 'deserialized' });
+        expect(target.get('complex')).toEqual({
+          map: new Map([['a', 1n]]),
+          set: new Set([1]),
+          imported: true,
+        });
+      });
+
+      test('should write one line per entry', async () => {
+        const enmap = new Enmap({ inMemory: true });
+        enmap.set('key', 'value');
+        enmap.set('expiring', 'value', null, { ttl: 1000 });
+        const chunks = [];
+        const output = new Writable({
+          write(chunk, encoding, callback) {
+            chunks.push(chunk.toString());
+            callback();
+          },
+        });
+
+        expect(await enmap.exportTo(output)).toBe(2);
+        expect(output.writableEnded).toBe(false);
+        const [first, ...records] = chunks.join('').trim().split('\n');
+        expect(JSON.parse(first)).toMatchObject({
+          format: 'enmap',
+          formatVersion: 1,
+          name: 'MemoryEnmap',
+          total: 2,
+        });
+        expect(records.map((line) => JSON.parse(line))).toEqual([
+          { key: 'key', value: stringify('value'), expires: null },
+          {
+            key: 'expiring',
+            value: stringify('value'),
+            expires: enmap.expiresAt('expiring'),
+          },
+          { end: true, count: 2 },
+        ]);
+      });
+
+      test('should import from streams', async () => {
+        const enmap = new Enmap({ inMemory: true });
+        enmap.set('existing', 'value');
+        const text = [
+          header({ total: 2 }),
+          { key: 'a', value: stringify(1) },
+          { key: 'existing', value: stringify('new'), expires: null },
+          { end: true, count: 2 },
+        ]
+          .map((line) => `${JSON.stringify(line)}\n`)
+          .join('');
+
+        expect(
+          await enmap.importFrom(
+            new ReadableStream({
+              start(controller) {
+                controller.enqueue(new TextEncoder().encode(text));
+                controller.close();
+              },
+            }),
+            { overwrite: false },
+          ),
+        ).toBe(2);
+        expect(enmap.get('a')).toBe(1);
+        expect(enmap.get('existing')).toBe('value');
+      });
+
+      test('should clear before importing', async () => {
+        const enmap = new Enmap({ inMemory: true });
+        enmap.set('old', 'value');
+        await enmap.importFrom(
+          lines([
+            header(),
+            { key: 'a', value: stringify(1) },
+            { end: true, count: 1 },
+          ]),
+          { clear: true },
+        );
+
+        expect(enmap.keys()).toEqual(['a']);
+      });
+
+      test('should not import anything from invalid files', async () => {
+        const enmap = new Enmap({ inMemory: true });
+        enmap.set('old', 'value');
+        const entry = { key: 'a', value: stringify(1) };
+        const failures = [
+          [[], 'The import is empty'],
+          [[entry], 'The import does not start with an enmap export header'],
+          [
+            [header({ formatVersion: 2 })],
+            'The import uses version 2 of the export format, but this version of Enmap only supports version 1',
+          ],
+          [
+            [header({ version: '99.0.0' })],
+            'The import was exported by Enmap 99.0.0, which is newer than this version',
+          ],
+          [
+            [header({ name: 'other' })],
+            'The import contains the enmap "other" instead of "MemoryEnmap". Set the sourceName option to import another enmap.',
+          ],
+          [
+            [header(), entry],
+            'The import is incomplete: 1 entries were read, but it does not end with a count of entries',
+          ],
+          [
+            [header(), entry, { end: true, count: 2 }],
+            'The import is incomplete: 1 entries were read, but it ends with a count of 2 entries',
+          ],
+          [[header(), { key: 1 }], 'Line 2 of the import is not a valid entry'],
+          [
+            [header(), { end: true, count: 0 }, entry],
+            'Line 3 of the import comes after its end',
+          ],
+        ];
+        for (const [text, message] of failures) {
+          await expect(
+            enmap.importFrom(lines(text), { clear: true }),
+          ).rejects.toThrow(message);
+        }
+        await expect(
+          enmap.importFrom(Readable.from([`${JSON.stringify(header())}\n{`])),
+        ).rejects.toThrow(
+          new CustomError(
+            'Line 2 of the import is not valid JSON',
+            'EnmapDataError',
+          ),
+        );
+        expect(enmap.keys()).toEqual(['old']);
+      });
+
+      test('should validate imported values in a transaction', async () => {
+        const enmap = new Enmap({
+          inMemory: true,
+          schema: (value) => typeof value === 'number',
+        });
+        const listener = vi.fn();
+        enmap.on('import', listener);
+
+        await expect(
+          enmap.importFrom(
+            lines([
+              header({ total: 2 }),
+              { key: 'a', value: stringify(1) },
+              { key: 'b', value: stringify('two') },
+              { end: true, count: 2 },
+            ]),
+          ),
+        ).rejects.toThrow(
+          expect.objectContaining({ name: 'EnmapValidationError' }),
+        );
+        expect(enmap.size).toBe(0);
+        expect(listener).not.toHaveBeenCalled();
+      });
+
+      test('should fail to read missing files', async () => {
+        const enmap = new Enmap({ inMemory: true });
+
+        await expect(
+          enmap.importFrom('./tmp/does-not-exist.ndjson'),
+        ).rejects.toThrow('ENOENT');
+        await expect(
+          enmap.exportTo('./tmp/does-not-exist/export.ndjson'),
+        ).rejects.toThrow('ENOENT');
+      });
+    });
+
+    describe('backups', () => {
+      const dataDir = './tmp/backups';
+      const dir = `${dataDir}/snapshots`;
+      const { open, keep } = tempEnmaps(dataDir);
+      const users = (name) => {
+        const enmap = open(name);
+        enmap.clear();
+        enmap.set('alice', { name: 'Alice' });
+        enmap.set('bob', { name: 'Bob' });
+        return enmap;
+      };
+      const wait = () => new Promise((resolve) => setTimeout(resolve, 2));
+
+      afterEach(() => {
+        vi.useRealTimers();
+      });
+
+      test('should back up and restore an enmap', async () => {
+        const enmap = users('backup');
+        enmap.autonum;
+        const progress = vi.fn();
+        await enmap.backup(`${dataDir}/backup.sqlite`, { progress });
+        enmap.set('carol', { name: 'Carol' });
+        enmap.delete('alice');
+        enmap.autonum;
+
+        expect(progress).toHaveBeenLastCalledWith({
+          totalPages: expect.any(Number),
+          remainingPages: 0,
+        });
+        const restored = keep(
+          Enmap.restore(`${dataDir}/backup.sqlite`, {
+            name: 'backup',
+            dataDir,
+          }),
+        );
+        expect(restored.keys()).toEqual(['alice', 'bob']);
+        expect(enmap.get('alice')).toEqual({ name: 'Alice' });
+        expect(restored.autonum).toBe('2');
+      });
+
+      test('should restore another enmap', async () => {
+        const memory = keep(new Enmap({ inMemory: true }));
+        memory.set('key', new Map([['a', 1]]), null, { ttl: 60000 });
+        await memory.backup(`${dataDir}/memory.sqlite`);
+        const restored = keep(
+          Enmap.restore(`${dataDir}/memory.sqlite`, {
+            inMemory: true,
+            sourceName: 'MemoryEnmap',
+          }),
+        );
+
+        expect(restored.get('key')).toEqual(new Map([['a', 1]]));
+        expect(restored.expiresAt('key')).toBe(memory.expiresAt('key'));
+      });
+
+      test('should run migrations on restored data', async () => {
+        const enmap = users('backupmigrate');
+        await enmap.backup(`${dataDir}/migrate.sqlite`);
+        const restored = keep(
+          Enmap.restore(`${dataDir}/migrate.sqlite`, {
+            name: 'backupmigrate',
+            dataDir,
+            migrations: [{ version: 1, up: (user) => ({ ...user, level: 1 }) }],
+          }),
+        );
+
+        expect(restored.schemaVersion).toBe(1);
+        expect(restored.get('bob')).toEqual({ name: 'Bob', level: 1 });
+      });
+
+      test('should not restore invalid files', async () => {
+        const enmap = users('backupinvalid');
+        await enmap.backup(`${dataDir}/invalid.sqlite`);
+        await writeFile(`${dataDir}/text.sqlite`, 'not a database');
+        const restore = (source, sourceName) => () =>
+          Enmap.restore(source, { name: 'backupinvalid', dataDir, sourceName });
+
+        expect(restore(`${dataDir}/missing.sqlite`)).toThrow(
+          new CustomError(
+            `The backup "${dataDir}/missing.sqlite" does not exist`,
+            'EnmapImportError',
+          ),
+        );
+        expect(restore(`${dataDir}/invalid.sqlite`, 'other')).toThrow(
+          new CustomError(
+            `The backup "${dataDir}/invalid.sqlite" does not contain the enmap "other"`,
+            'EnmapImportError',
+          ),
+        );
+        expect(restore(`${dataDir}/text.sqlite`)).toThrow(
+          new CustomError(
+            `The backup "${dataDir}/text.sqlite" is not an SQLite database`,
+            'EnmapImportError',
+          ),
+        );
+        expect(enmap.keys()).toEqual(['alice', 'bob']);
+      });
+
+      test('should not create the enmap when a restore fails', async () => {
+        const enmap = users('backupsource');
+        await enmap.backup(`${dataDir}/source.sqlite`);
+        const restore = (options) => () =>
+          Enmap.restore(`${dataDir}/source.sqlite`, { dataDir, ...options });
+        const close = vi.spyOn(Enmap.prototype, 'close');
+
+        expect(restore({ name: 'backupfailed' })).toThrow(
+          expect.objectContaining({ name: 'EnmapImportError' }),
+        );
+        expect(
+          restore({ name: 'backupfailed', sourceName: 'missing' }),
+        ).toThrow(expect.objectContaining({ name: 'EnmapImportError' }));
+        expect(Enmap.list(dataDir).map(({ name }) => name)).not.toContain(
+          'backupfailed',
+        );
+        expect(
+          restore({
+            name: 'backupmigrated',
+            sourceName: 'backupsource',
+            migrations: [
+              {
+                version: 1,
+                up: () => {
+                  throw new Error('broken');
+                },
+              },
+            ],
+          }),
+        ).toThrow(expect.objectContaining({ name: 'EnmapMigrationError' }));
+        expect(close).toHaveBeenCalledTimes(1);
+        close.mockRestore();
+      });
+
+      test('should rotate snapshots', async () => {
+        const enmap = open('snapshots', {
+          snapshots: { dir, interval: 60000, keep: 2 },
+        });
+        const paths = [];
+        for (let i = 0; i < 3; i++) {
+          enmap.set('count', i);
+          paths.push(await enmap.snapshot());
+          await wait();
+        }
+
+        expect((await readdir(dir)).sort()).toEqual(
+          paths.slice(1).map((path) => basename(path)),
+        );
+        const restored = keep(
+          Enmap.restore(paths[2], { inMemory: true, sourceName: 'snapshots' }),
+        );
+        expect(restored.get('count')).toBe(2);
+      });
+
+      test('should take snapshots on schedule', async () => {
+        vi.useFakeTimers({ toFake: ['setInterval'] });
+        const enmap = open('scheduled', { snapshots: { dir, interval: 1000 } });
+        enmap.set('key', 'value');
+        vi.advanceTimersByTime(1000);
+
+        await vi.waitFor(async () =>
+          expect(
+            (await readdir(dir)).filter((file) =>
+              file.startsWith('scheduled.'),
+            ),
+          ).toHaveLength(1),
+        );
+      });
+
+      test('should fail with invalid snapshot options', async () => {
+        expect(
+          () =>
+            new Enmap({
+              inMemory: true,
+              snapshots: { dir, interval: 1000, keep: 0 },
+            }),
+        ).toThrow(
+          new CustomError(
+            'The snapshots keep must be a positive integer',
+            'EnmapArgumentError',
+          ),
+        );
+        vi.useFakeTimers();
+        expect(
+          () =>
+            new Enmap({
+              inMemory: true,
+              purgeInterval: 1000,
+              snapshots: { dir, interval: -1 },
+            }),
+        ).toThrow(
+          new CustomError(
+            'The snapshots interval must be a positive number',
+            'EnmapArgumentError',
+          ),
+        );
+        expect(vi.getTimerCount()).toBe(0);
+        await expect(
+          keep(new Enmap({ inMemory: true })).snapshot(),
+        ).rejects.toThrow(
+          new CustomError(
+            'Cannot take a snapshot of the enmap "MemoryEnmap" because its snapshots option is not set.',
+            'EnmapArgumentError',
+          ),
+        );
+      });
+    });
+
+    describe('lifecycle', () => {
+      const dataDir = './tmp/lifecycle';
+
+      afterEach(() => {
+        vi.useRealTimers();
+      });
+
+      afterAll(async () => {
+        await rm(dataDir, { recursive: true }).catch(() => {});
+      });
+
+      test('should fail after closing', () => {
+        const enmap = new Enmap({ inMemory: true });
+        enmap.set('key', 'value');
+
+        expect(enmap.isOpen).toBe(true);
+        enmap.close();
+        enmap.close();
+        expect(enmap.isOpen).toBe(false);
+        for (const use of [
+          () => enmap.get('key'),
+          () => enmap.set('key', 'value'),
+          () => enmap.size,
+          () => enmap.transaction(() => {}),
+        ])
+          expect(use).toThrow(
+            new CustomError(
+              'The enmap "MemoryEnmap" is closed',
+              'EnmapDBConnectionError',
+            ),
+          );
+      });
+
+      test('should share one connection per file', async () => {
+        await mkdir(dataDir, { recursive: true });
+        const listeners = process.listenerCount('exit');
+        const enmaps = Enmap.multi(
+          Array.from({ length: 20 }, (_, i) => `shared${i}`),
+          { dataDir },
+        );
+        const { shared0, shared1 } = enmaps;
+        const { db } = shared0;
+
+        expect(process.listenerCount('exit')).toBe(listeners);
+        expect(Object.values(enmaps).every((enmap) => enmap.db === db)).toBe(
+          true,
+        );
+        for (const enmap of Object.values(enmaps))
+          if (enmap !== shared1) enmap.close();
+        expect(db.open).toBe(true);
+        shared1.set('key', 'value');
+        shared1.close();
+        expect(db.open).toBe(false);
+        const reopened = new Enmap({ name: 'shared1', dataDir });
+        expect(reopened.db).not.toBe(db);
+        expect(reopened.get('key')).toBe('value');
+        reopened.close();
+      });
+
+      test('should refuse different sqliteOptions for a shared connection', async () => {
+        await mkdir(dataDir, { recursive: true });
+        const enmap = new Enmap({ name: 'options', dataDir });
+
+        expect(
+          () =>
+            new Enmap({
+              name: 'readonly',
+              dataDir,
+              sqliteOptions: { readonly: true },
+            }),
+        ).toThrow(
+          new CustomError(
+            `The enmap "readonly" must use the same sqliteOptions as the other enmaps open in "${resolve(dataDir, 'enmap.sqlite')}"`,
+            'EnmapArgumentError',
+          ),
+        );
+        enmap.close();
+        const readonly = new Enmap({
+          name: 'options',
+          dataDir,
+          sqliteOptions: { readonly: true },
+        });
+        expect(() => readonly.set('key', 'value')).toThrow();
+        readonly.close();
+      });
+
+      test('should release the connection when the setup fails', async () => {
+        await mkdir(dataDir, { recursive: true });
+        const enmap = new Enmap({ name: 'setup', dataDir });
+        const { db } = enmap;
+
+        expect(
+          () =>
+            new Enmap({
+              name: 'setupfailed',
+              dataDir,
+              migrations: [{ version: 0, up: () => {} }],
+            }),
+        ).toThrow(expect.objectContaining({ name: 'EnmapArgumentError' }));
+        enmap.close();
+        expect(db.open).toBe(false);
+      });
+
+      test('should stop timers when closed', () => {
+        vi.useFakeTimers();
+        const enmap = new Enmap({ inMemory: true, purgeInterval: 1000 });
+        const purge = vi.spyOn(enmap, 'purge');
+        vi.advanceTimersByTime(1000);
+        enmap.close();
+        vi.advanceTimersByTime(5000);
+
+        expect(purge).toHaveBeenCalledTimes(1);
+      });
+
+      test('should be disposable', () => {
+        const enmap = new Enmap({ inMemory: true });
+        enmap[Symbol.dispose]();
+
+        expect(enmap.isOpen).toBe(false);
+      });
+    });
+
+    describe('names and files', () => {
+      const dataDir = './tmp/names';
+
+      afterAll(async () => {
+        await rm(dataDir, { recursive: true }).catch(() => {});
+      });
+
+      test.each(['user-data', 'select', '2024'])(
+        'should support the name %s',
+        async (name) => {
+          await mkdir(dataDir, { recursive: true });
+          const enmap = new Enmap({ name, dataDir, changeFeed: true });
+          enmap.clear();
+          enmap.set('alice', { level: 2 });
+          enmap.set('bob', { level: 1 }, null, { ttl: 60000 });
+          enmap.createIndex('level');
+
+          expect(enmap.size).toBe(2);
+          expect(enmap.get('alice')).toEqual({ level: 2 });
+          expect(enmap.filter((user) => user.level > 1)).toEqual([
+            { level: 2 },
+          ]);
+          expect(enmap.purge()).toBe(0);
+          expect(enmap.delete('bob').keys()).toEqual(['alice']);
+          enmap.close();
+        },
+      );
+
+      test('should reject unsafe names', () => {
+        for (const name of ['users; DROP TABLE x', 'my table', 'sqlite_users'])
+          expect(() => new Enmap({ name, dataDir })).toThrow(
+            new CustomError(
+              `Invalid enmap name "${name}": names may only contain letters, numbers, underscores and dashes, and may not start with "sqlite_"`,
+              'EnmapArgumentError',
+            ),
+          );
+      });
+
+      test('should store enmaps in their own file', async () => {
+        await mkdir(dataDir, { recursive: true });
+        const users = new Enmap({
+          name: 'users',
+          dataDir,
+          file: 'users.sqlite',
+        });
+        const logs = new Enmap({
+          name: 'logs',
+          dataDir: './tmp',
+          file: resolve(dataDir, 'logs.sqlite'),
+        });
+        const settings = new Enmap({ name: 'settings', dataDir });
+        users.set('alice', 1);
+        logs.set('first', 'started');
+
+        expect(users.db).not.toBe(settings.db);
+        expect(users.db.name).toBe(resolve(dataDir, 'users.sqlite'));
+        expect(logs.db.name).toBe(resolve(dataDir, 'logs.sqlite'));
+        expect(existsSync(`${dataDir}/logs.sqlite`)).toBe(true);
+        expect(
+          new Enmap({ name: 'users', dataDir, file: 'users.sqlite' }).get(
+            'alice',
+          ),
+        ).toBe(1);
+        expect(() => new Enmap({ name: 'users', dataDir, file: '' })).toThrow(
+          new CustomError(
+            'The file option must be a file name or path',
+            'EnmapArgumentError',
+          ),
+        );
+      });
+    });
+
+    describe('table management', () => {
+      const dataDir = './tmp/tables';
+      const { open } = tempEnmaps(dataDir);
+      const create = (name, options = {}) => {
+        const enmap = open(name, options);
+        enmap.clear();
+        return enmap;
+      };
+
+      test('should list enmaps', () => {
+        const users = create('users', { changeFeed: true });
+        users.set('alice', { name: 'Alice' });
+        users.set('bob', { name: 'Bob' });
+        create('logs');
+        users.close();
+
+        expect(Enmap.list(dataDir)).toEqual([
+          { name: 'logs', rows: 0, bytes: expect.any(Number) },
+          { name: 'users', rows: 2, bytes: expect.any(Number) },
+        ]);
+        expect(Enmap.list(dataDir, 'missing.sqlite')).toEqual([]);
+      });
+
+      test('should list enmaps in a closed file', () => {
+        const enmap = create('closed', { file: 'closed.sqlite' });
+        enmap.set('key', 'value');
+        enmap.close();
+
+        expect(Enmap.list(dataDir, 'closed.sqlite')).toEqual([
+          { name: 'closed', rows: 1, bytes: expect.any(Number) },
+        ]);
+      });
+
+      test('should drop an enmap', () => {
+        const enmap = create('dropped', {
+          changeFeed: true,
+          migrations: [{ version: 1, up: (value) => value }],
+        });
+        enmap.set('key', 'value');
+        enmap.autonum;
+        enmap.drop();
+
+        expect(enmap.isOpen).toBe(false);
+        expect(Enmap.list(dataDir).map(({ name }) => name)).not.toContain(
+          'dropped',
+        );
+        const recreated = open('dropped');
+        expect(recreated.size).toBe(0);
+        expect(recreated.autonum).toBe('1');
+        expect(recreated.schemaVersion).toBe(0);
+        expect(
+          recreated.db
+            .prepare(
+              "SELECT name FROM sqlite_master WHERE name LIKE 'dropped::%'",
+            )
+            .all(),
+        ).toEqual([]);
+      });
+
+      test('should rename an enmap', () => {
+        const enmap = create('oldname', {
+          changeFeed: true,
+          migrations: [{ version: 3, up: (value) => value }],
+        });
+        enmap.set('alice', { guild: 'a' });
+        enmap.set('bob', { guild: 'b' });
+        enmap.autonum;
+        enmap.createIndex('guild');
+        const watcher = vi.fn();
+        enmap.watch(watcher);
+
+        expect(enmap.rename('newname')).toBe(enmap);
+        enmap.set('carol', { guild: 'a' });
+        expect(enmap.filter('guild', 'a')).toEqual([
+          { guild: 'a' },
+          { guild: 'a' },
+        ]);
+        expect(enmap.autonum).toBe('2');
+        expect(enmap.schemaVersion).toBe(3);
+        const names = enmap.db
+          .prepare(
+            "SELECT name FROM sqlite_master WHERE name LIKE 'oldname%' OR name LIKE 'newname%' ORDER BY name",
+          )
+          .pluck()
+          .all();
+        expect(names).toEqual([
+          'newname',
+          'newname::changes',
+          'newname::changes::delete',
+          'newname::changes::insert',
+          'newname::changes::update',
+          'newname::index::guild',
+        ]);
+        expect(
+          enmap.db
+            .prepare('SELECT key FROM "newname::changes" ORDER BY seq DESC')
+            .pluck()
+            .get(),
+        ).toBe('carol');
+        expect(open('newname').get('bob')).toEqual({
+          guild: 'b',
+        });
+      });
+
+      test('should keep its name when a rename fails', () => {
+        const enmap = create('keepname');
+        enmap.set('alice', { guild: 'a' });
+        enmap.createIndex('guild');
+        // The index can't be recreated under the new name: the whole rename is rolled back.
+        enmap.db.exec('CREATE TABLE "failedname::index::guild" (id)');
+
+        expect(() => enmap.rename('failedname')).toThrow();
+        expect(enmap.get('alice')).toEqual({ guild: 'a' });
+        expect(enmap.filter('guild', 'a')).toEqual([{ guild: 'a' }]);
+        expect(Enmap.list(dataDir).map(({ name }) => name)).toContain(
+          'keepname',
+        );
+      });
+
+      test('should not rename to an existing or invalid name', () => {
+        const enmap = create('renamed');
+        create('taken');
+
+        expect(() => enmap.rename('taken')).toThrow(
+          new CustomError(
+            'Cannot rename the enmap "renamed" to "taken" because an enmap with that name already exists',
+            'EnmapArgumentError',
+          ),
+        );
+        expect(() => enmap.rename('TAKEN')).toThrow(
+          new CustomError(
+            'Cannot rename the enmap "renamed" to "TAKEN" because an enmap with that name already exists',
+            'EnmapArgumentError',
+          ),
+        );
+        expect(() => enmap.rename('bad name')).toThrow(
+          expect.objectContaining({ name: 'EnmapArgumentError' }),
+        );
+      });
+
+      test('should vacuum and optimize', () => {
+        const enmap = create('vacuumed', { file: 'vacuum.sqlite' });
+        enmap.setMany(
+          Array.from({ length: 2000 }, (_, i) => [`key${i}`, 'x'.repeat(100)]),
+        );
+        enmap.clear();
+
+        expect(enmap.vacuum()).toBeGreaterThan(0);
+        expect(enmap.vacuum()).toBe(0);
+        expect(enmap.optimize()).toBe(enmap);
+      });
+    });
+
+    describe('conditional writes', () => {
+      const dataDir = './tmp/conditional';
+      const conflict = (expected, actual) =>
+        new CustomError(
+          `Cannot update the key "stock" in the enmap "stocks": expected version ${expected}, but it is at version ${actual}`,
+          'EnmapConflictError',
+        );
+      const { open, keep, processes } = tempEnmaps(dataDir);
+
+      test('should count versions', () => {
+        const enmap = keep(new Enmap({ inMemory: true }));
+
+        expect(enmap.version('key')).toBeNull();
+        enmap.set('key', { a: 1 });
+        expect(enmap.version('key')).toBe(1);
+        enmap.set('key', 2, 'a');
+        enmap.update('key', { b: 1 });
+        enmap.inc('key', 'b');
+        expect(enmap.version('key')).toBe(4);
+        enmap.delete('key');
+        enmap.set('key', {});
+        expect(enmap.version('key')).toBe(1);
+      });
+
+      test('should set if absent', () => {
+        vi.useFakeTimers();
+        const enmap = keep(new Enmap({ inMemory: true }));
+        const listener = vi.fn();
+        enmap.on('set', listener);
+
+        expect(enmap.setIfAbsent('lock', 1, { ttl: 100 })).toBe(true);
+        expect(enmap.setIfAbsent('lock', 2)).toBe(false);
+        expect(enmap.get('lock')).toBe(1);
+        vi.advanceTimersByTime(100);
+        expect(enmap.setIfAbsent('lock', 3)).toBe(true);
+        expect(enmap.get('lock')).toBe(3);
+        expect(enmap.ttl('lock')).toBe(Infinity);
+        expect(listener).toHaveBeenCalledTimes(2);
+        expect(listener).toHaveBeenLastCalledWith({
+          key: 'lock',
+          oldValue: undefined,
+          newValue: 3,
+          operation: 'setIfAbsent',
+        });
+        vi.useRealTimers();
+      });
+
+      test('should compare and set', () => {
+        const enmap = keep(new Enmap({ inMemory: true }));
+        enmap.set('stock', { count: 2, date: new Date(0) });
+
+        expect(
+          enmap.compareAndSet('stock', { count: 1, date: new Date(0) }, {}),
+        ).toBe(false);
+        expect(
+          enmap.compareAndSet(
+            'stock',
+            { count: 2, date: new Date(0) },
+            { count: 1 },
+          ),
+        ).toBe(true);
+        expect(enmap.get('stock')).toEqual({ count: 1 });
+        expect(enmap.compareAndSet('missing', null, { count: 5 })).toBe(true);
+        expect(enmap.compareAndSet('missing', null, { count: 6 })).toBe(false);
+        expect(enmap.compareAndSet('other', { count: 1 }, {})).toBe(false);
+      });
+
+      test('should detect changes from other processes', () => {
+        const { first, other } = processes('stocks');
+        first.set('stock', { count: 2 });
+        const current = first.get('stock');
+        other.set('stock', { count: 1 });
+
+        expect(first.compareAndSet('stock', current, { count: 1 })).toBe(false);
+        expect(first.get('stock')).toEqual({ count: 1 });
+      });
+
+      test('should update with an expected version', () => {
+        const { first, other } = processes('stocks');
+        first.set('stock', { count: 2 });
+        const version = first.version('stock');
+        first.get('stock');
+        other.update('stock', { count: 1 });
+
+        expect(() =>
+          first.update('stock', (stock) => ({ count: stock.count - 1 }), {
+            expectedVersion: version,
+          }),
+        ).toThrow(conflict(1, 2));
+        expect(
+          first.update('stock', (stock) => ({ count: stock.count - 1 }), {
+            expectedVersion: 2,
+          }),
+        ).toEqual({ count: 0 });
+        expect(other.get('stock')).toEqual({ count: 0 });
+        other.delete('stock');
+        expect(() =>
+          first.update('stock', { count: 1 }, { expectedVersion: 3 }),
+        ).toThrow(conflict(3, 'none (deleted)'));
+      });
+
+      test('should keep versions of existing tables', () => {
+        const db = new Database(`${dataDir}/legacy.sqlite`);
+        db.exec(
+          `CREATE TABLE legacy (key text PRIMARY KEY, value text, expires integer);
+          INSERT INTO legacy (key, value) VALUES ('key', '${stringify('value')}');`,
+        );
+        db.close();
+        const enmap = open('legacy', { file: 'legacy.sqlite' });
+
+        expect(enmap.version('key')).toBe(1);
+        enmap.set('key', 'new');
+        expect(enmap.version('key')).toBe(2);
+      });
+    });
+
+    describe('atomic math', () => {
+      const dataDir = './tmp/atomic';
+      const { open, keep, processes } = tempEnmaps(dataDir);
+
+      test('should not lose changes from other processes', () => {
+        const { first, other } = processes('counters');
+        first.set('count', 0);
+        first.set('user', { stats: { xp: 0 } });
+        first.get('count');
+        first.get('user');
+        other.inc('count');
+        other.incBy('user', 10, { path: 'stats.xp' });
+        first.inc('count');
+        first.math('user', '+', 5, 'stats.xp');
+
+        expect(other.get('count')).toBe(2);
+        expect(other.get('user')).toEqual({ stats: { xp: 15 } });
+        expect(first.version('count')).toBe(3);
+      });
+
+      test('should emit events and keep the expiry', () => {
+        const enmap = keep(new Enmap({ inMemory: true }));
+        const listener = vi.fn();
+        enmap.set('count', 1, null, { ttl: 1000 });
+        const expires = enmap.expiresAt('count');
+        enmap.on('set', listener);
+        enmap.dec('count');
+
+        expect(listener).toHaveBeenCalledWith({
+          key: 'count',
+          oldValue: 1,
+          newValue: 0,
+          operation: 'dec',
+        });
+        expect(enmap.expiresAt('count')).toBe(expires);
+      });
+
+      test('should use JS with a serializer', () => {
+        const enmap = keep(
+          new Enmap({
+            inMemory: true,
+            serializer: (value) => ({ ...value, total: value.total * 100 }),
+            deserializer: (value) => ({ ...value, total: value.total / 100 }),
+          }),
+        );
+        enmap.set('cart', { total: 1.5 });
+
+        expect(enmap.incBy('cart', 1, { path: 'total' })).toBe(2.5);
+        expect(enmap.get('cart')).toEqual({ total: 2.5 });
+      });
+
+      test('should retry when another process writes in between', () => {
+        const other = open('retries');
+        other.set('count', 0.5);
+        let written = false;
+        // Deserializing happens between reading and writing the value.
+        const first = open('retries', {
+          deserializer: (value) => {
+            if (!written) {
+              written = true;
+              other.math('count', '+', 0.25);
+            }
+            return value;
+          },
+        });
+        first.math('count', '+', 0.5);
+
+        expect(other.get('count')).toBe(1.25);
+        expect(other.version('count')).toBe(3);
+      });
+    });
   });
 });
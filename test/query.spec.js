@@ -0,0 +1,161 @@
+import { describe, test, expect, vi } from 'vitest';
+import Enmap from '../src/index.ts';
+import { compare, matches } from '../src/query.ts';
+import CustomError from '../src/error.ts';
+
+describe('EnmapQuery', () => {
+  const players = (options = {}) => {
+    const enmap = new Enmap({ inMemory: true, ...options });
+    enmap.set('alice', { name: 'Alice', stats: { level: 12, xp: 300 } });
+    enmap.set('bob', { name: 'Bob', stats: { level: 8, xp: 900 } });
+    enmap.set('carol', { name: 'Carol', stats: { level: 20, xp: 500 } });
+    enmap.set('dave', { name: 'Dave', stats: { level: 15, xp: 100 } });
+    enmap.set('erin', { name: 'Erin', stats: { level: '30', xp: 700 } });
+    return enmap;
+  };
+
+  test('should filter, sort and paginate', () => {
+    const enmap = players();
+
+    expect(
+      enmap
+        .query()
+        .where('stats.level', '>', 10)
+        .orderBy('stats.xp', 'desc')
+        .keys(),
+    ).toEqual(['carol', 'alice', 'dave']);
+    expect(
+      enmap
+        .query()
+        .where('stats.level', '>', 10)
+        .orderBy('stats.xp', 'desc')
+        .limit(1)
+        .offset(1)
+        .entries(),
+    ).toEqual([['alice', { name: 'Alice', stats: { level: 12, xp: 300 } }]]);
+  });
+
+  test('should run in SQL', () => {
+    const enmap = players();
+    const spy = vi.spyOn(enmap.db, 'prepare');
+    enmap
+      .query()
+      .where('stats.level', '>=', 12)
+      .where('name', '!=', 'Dave')
+      .orderBy('stats.xp')
+      .limit(5)
+      .keys();
+
+    expect(spy.mock.calls[0][0]).toContain('ORDER BY');
+    expect(spy.mock.calls[0][0]).toContain('LIMIT');
+  });
+
+  test('should support every operator', () => {
+    const enmap = players();
+    const keys = (...args) =>
+      enmap
+        .query()
+        .where(...args)
+        .keys();
+
+    expect(keys('name', 'Bob')).toEqual(['bob']);
+    expect(keys('name', '=', 'Bob')).toEqual(['bob']);
+    expect(keys('stats.level', '!=', 12)).toEqual([
+      'bob',
+      'carol',
+      'dave',
+      'erin',
+    ]);
+    expect(keys('stats.level', '<', 12)).toEqual(['bob']);
+    expect(keys('stats.level', '<=', 12)).toEqual(['alice', 'bob']);
+    expect(keys('stats.level', '>=', '20')).toEqual(['erin']);
+    expect(keys('name', 'in', ['Bob', 'Erin', 'Zed'])).toEqual(['bob', 'erin']);
+    expect(keys('name', 'in', [])).toEqual([]);
+    expect(keys((val, key) => key.startsWith('c'))).toEqual(['carol']);
+  });
+
+  test('should fall back to javascript', () => {
+    const enmap = players({
+      serializer: (value) => value,
+      deserializer: (value) => value,
+    });
+    const query = () =>
+      enmap.query().where('stats.level', '>', 10).orderBy('stats.xp', 'desc');
+
+    expect(query().keys()).toEqual(['carol', 'alice', 'dave']);
+    expect(query().limit(2).offset(1).keys()).toEqual(['alice', 'dave']);
+    expect(query().count()).toBe(3);
+  });
+
+  test('should mix SQL and javascript conditions', () => {
+    const enmap = players();
+
+    expect(
+      enmap
+        .query()
+        .where((val) => val.name.length === 5)
+        .where('stats.level', '>', 10)
+        .orderBy('stats.level', 'desc')
+        .limit(1)
+        .values(),
+    ).toEqual([{ name: 'Carol', stats: { level: 20, xp: 500 } }]);
+  });
+
+  test('should sort plain values', () => {
+    const enmap = new Enmap({ inMemory: true });
+    enmap.setMany({ a: 3, b: 1, c: 2 });
+
+    expect(enmap.query().orderBy(null, 'desc').keys()).toEqual(['a', 'c', 'b']);
+    expect(enmap.query().where(null, '<', 3).count()).toBe(2);
+  });
+
+  test('should fail w/ invalid arguments', () => {
+    const enmap = players();
+
+    expect(() => enmap.query().where('name', 'like', 'A')).toThrow(
+      new CustomError('Unknown query operator "like"', 'EnmapArgumentError'),
+    );
+    expect(() => enmap.query().where('name', 'in', 'A')).toThrow(
+      new CustomError(
+        'The "in" operator requires an array of values',
+        'EnmapArgumentError',
+      ),
+    );
+    expect(() => enmap.query().limit(-1)).toThrow(
+      new CustomError(
+        'The query limit must be a positive integer',
+        'EnmapArgumentError',
+      ),
+    );
+    expect(() => enmap.query().orderBy('name', 'up')).toThrow(
+      new CustomError(
+        'Sort direction must be "asc" or "desc"',
+        'EnmapArgumentError',
+      ),
+    );
+  });
+
+  describe('matches', () => {
+    test('should only compare values of the same type', () => {
+      const condition = { path: 'a', operator: '>', value: 1 };
+
+      expect(matches(condition, 'key', { a: 2 })).toBe(true);
+      expect(matches(condition, 'key', { a: '2' })).toBe(false);
+      expect(matches(condition, 'key', {})).toBe(false);
+    });
+  });
+
+  describe('compare', () => {
+    test('should sort like SQLite', () => {
+      expect([2, 'b', null, 1, 'a'].sort(compare)).toEqual([
+        null,
+        1,
+        2,
+        'a',
+        'b',
+      ]);
+      expect(compare(undefined, 1)).toBeLessThan(0);
+      expect(compare(true, 'a')).toBeLessThan(0);
+    });
+  });
+});
@@ -0,0 +1,25 @@
+// Module hooks for ts-loader.js: resolves the `.js` imports of the sources to their `.ts` file, and strips the types.
+import { existsSync } from 'fs';
+import { readFile } from 'fs/promises';
+import { transform } from 'esbuild';
+
+export async function resolve(specifier, context, next) {
+  if (/^(\.{1,2}\/|file:)/.test(specifier) && specifier.endsWith('.js')) {
+    const url = new URL(specifier, context.parentURL);
+    const source = url.href.replace(/\.js$/, '.ts');
+    if (!existsSync(url) && existsSync(new URL(source)))
+      return { url: source, shortCircuit: true };
+  }
+  return next(specifier, context);
+}
+
+export async function load(url, context, next) {
+  if (!url.endsWith('.ts')) return next(url, context);
+  const { code } = await transform(await readFile(new URL(url), 'utf8'), {
+    loader: 'ts',
+    format: 'esm',
+    target: 'es2022',
+    sourcefile: url,
+  });
+  return { format: 'module', source: code, shortCircuit: true };
+}
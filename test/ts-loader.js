@@ -0,0 +1,4 @@
+// Lets the worker thread of AsyncEnmap run from the typescript sources in tests, without a build.
+import { register } from 'module';
+
+register('./ts-hooks.js', import.meta.url);
@@ -2,6 +2,8 @@ import { defineConfig } from 'vitest/config';
 
 export default defineConfig({
   test: {
+    // Worker threads inherit this, so AsyncEnmap can run its worker from the sources.
+    execArgv: ['--import', './test/ts-loader.js'],
     coverage: {
       reporter: ['text', 'lcov', 'clover'],
       exclude: ['scripts', 'coverage'],